@@ -1,24 +1,24 @@
-module.exports = {
-  testEnvironment: 'node',
-  coverageDirectory: 'coverage',
-  collectCoverageFrom: [
-    'src/**/*.js',
-    '!src/test.js',
-    '!src/testclient.js',
-    '!src/index.js',
-    '!**/node_modules/**'
-  ],
-  coverageReporters: ['text', 'lcov', 'html', 'json-summary'],
-  coverageThreshold: {
-    global: {
-      branches: 70,
-      functions: 70,
-      lines: 70,
-      statements: 70
-    }
-  },
-  testMatch: ['**/tests/**/*.test.js', '**/tests/**/*.spec.js'],
-  verbose: true,
-  testTimeout: 30000,
-  setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
-};
+module.exports = {
+  testEnvironment: 'node',
+  coverageDirectory: 'coverage',
+  collectCoverageFrom: [
+    'src/**/*.js',
+    '!src/test.js',
+    '!src/testclient.js',
+    '!src/index.js',
+    '!**/node_modules/**'
+  ],
+  coverageReporters: ['text', 'lcov', 'html', 'json-summary'],
+  coverageThreshold: {
+    global: {
+      branches: 70,
+      functions: 70,
+      lines: 70,
+      statements: 70
+    }
+  },
+  testMatch: ['**/tests/**/*.test.js', '**/tests/**/*.spec.js'],
+  verbose: true,
+  testTimeout: 30000,
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js']
+};
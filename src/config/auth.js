@@ -0,0 +1,17 @@
+module.exports = {
+  emailVerification: {
+    // When false, unverified users can still sign in and are told to verify
+    required: process.env.AUTH_REQUIRE_VERIFIED_EMAIL === 'true',
+    tokenTtlSeconds: 24 * 60 * 60,
+  },
+  passwordReset: {
+    tokenTtlSeconds: 30 * 60,
+  },
+  twoFactor: {
+    // Roles that must set up two-factor authentication before they can sign in
+    requiredRoles: (process.env.AUTH_2FA_REQUIRED_ROLES ?? 'dispatcher').split(',').filter(Boolean),
+    issuer: process.env.AUTH_2FA_ISSUER || 'RSA Chat', // Shown in authenticator apps
+    window: 1, // Time steps either side of now a code is accepted in
+    recoveryCodeCount: 10,
+  },
+};
@@ -0,0 +1,8 @@
+module.exports = {
+    // How long after sending a message its sender may still edit or delete it
+    editWindowMs: Number(process.env.CHAT_EDIT_WINDOW_MS) || 15 * 60 * 1000,
+    // At most one typing broadcast per user per room in this interval
+    typingThrottleMs: Number(process.env.CHAT_TYPING_THROTTLE_MS) || 1000,
+    // A typing indicator with no fresh `typing` event for this long is cleared
+    typingTimeoutMs: Number(process.env.CHAT_TYPING_TIMEOUT_MS) || 5000,
+  };
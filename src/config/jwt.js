@@ -1,6 +1,25 @@
 module.exports = {
-    accessTokenSecret: process.env.JWT_SECRET,
+    // Access tokens are signed with the private keys in `keysDir`, one
+    // `<kid>.pem` file per key: RSA for RS256 or P-256 for ES256. Only
+    // `activeKid` signs; every key in the directory verifies and is published
+    // at /.well-known/jwks.json. Required unless NODE_ENV is development or
+    // test, where a throwaway key is generated at startup instead.
+    keysDir: process.env.JWT_KEYS_DIR,
+    activeKid: process.env.JWT_ACTIVE_KID,
+    // Opt-in migration aid: while set, access tokens signed with the old shared
+    // secret (HS256, no `kid`) are still accepted, but only with an `exp` and
+    // no older than `accessTokenExpiry`. Unset it once those tokens have
+    // expired; support for it will be removed in the next release.
+    legacyAccessTokenSecret: process.env.JWT_LEGACY_SECRET,
     refreshTokenSecret: process.env.JWT_REFRESH_SECRET,
-    accessTokenExpiry: '15m',
+    accessTokenExpiry: 15 * 60, // seconds
+    // How often each instance copies revocations made by the others from MongoDB
+    revocationSyncInterval: 5 * 1000,
     refreshTokenExpiry: '7d',
-  };
\ No newline at end of file
+    // Signs the token handed out between password and second factor at login
+    challengeTokenSecret: process.env.JWT_CHALLENGE_SECRET,
+    challengeTokenExpiry: '5m',
+    // How long a socket may stay connected after its access token expires
+    // before a fresh token must be sent with `reauthenticate`
+    socketReauthTimeout: 30 * 1000,
+  };
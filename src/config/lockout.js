@@ -0,0 +1,18 @@
+// Failed sign-in tracking. Failures are counted per account (by email) and per
+// client IP within `windowSeconds`. Past `freeAttempts`, each failure makes the
+// caller wait before trying again, doubling from `baseDelaySeconds` up to
+// `maxDelaySeconds`. At `maxAttempts` the account or IP is locked out for
+// `lockSeconds`.
+module.exports = {
+  enabled: process.env.LOGIN_LOCKOUT_ENABLED !== 'false',
+  windowSeconds: 15 * 60,
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 30,
+
+  account: { freeAttempts: 3, maxAttempts: 10, lockSeconds: 15 * 60 },
+  // Higher, since a depot or office may share one address
+  ip: { freeAttempts: 10, maxAttempts: 50, lockSeconds: 15 * 60 },
+
+  // How long the link in the "account locked" email stays valid
+  unlockTokenTtlSeconds: 60 * 60,
+};
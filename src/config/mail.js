@@ -0,0 +1,16 @@
+module.exports = {
+  // 'smtp' delivers through a mail server; 'file' writes each message to `dir`
+  // and 'console' prints it, so emails can be read locally without a server
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'RSA Chat <no-reply@localhost>',
+  // Base URL of the web client, used to build links in emails
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // TLS from the start, usually port 465
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  },
+  dir: process.env.MAIL_DIR || 'mail',
+};
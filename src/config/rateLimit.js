@@ -0,0 +1,49 @@
+// Token buckets: each client starts with `capacity` tokens (its burst size),
+// every request or socket event spends one, and tokens come back at
+// `refillPerSecond`. `roles` overrides a limit for users with that role.
+// Routes and events without an entry are not limited. Socket events marked
+// `drop` are dropped quietly over the limit and never count as violations:
+// clients send them in bursts during normal use (a keystroke each, or a
+// receipt per replayed message), and only the latest one matters.
+module.exports = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  // 'memory' for a single process; 'mongo' shares buckets between instances
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+
+  rules: {
+    // HTTP, keyed by client IP since the caller is not signed in yet
+    login: { capacity: 5, refillPerSecond: 5 / 60 },
+    register: { capacity: 3, refillPerSecond: 3 / 3600 },
+    refresh: { capacity: 10, refillPerSecond: 10 / 60 },
+    two_factor: { capacity: 5, refillPerSecond: 5 / 60 },
+    verify_email: { capacity: 5, refillPerSecond: 5 / 60 },
+    resend_verification: { capacity: 3, refillPerSecond: 3 / 3600 },
+    unlock_account: { capacity: 5, refillPerSecond: 5 / 60 },
+    forgot_password: { capacity: 3, refillPerSecond: 3 / 3600 },
+    reset_password: { capacity: 5, refillPerSecond: 5 / 60 },
+
+    // Socket events and their REST equivalents, keyed by user ID
+    send_message: {
+      capacity: 10,
+      refillPerSecond: 1,
+      roles: { dispatcher: { capacity: 30, refillPerSecond: 3 } },
+    },
+    edit_message: { capacity: 10, refillPerSecond: 0.5 },
+    delete_message: { capacity: 10, refillPerSecond: 0.5 },
+    upload_attachment: { capacity: 10, refillPerSecond: 10 / 60 },
+    join_room: { capacity: 20, refillPerSecond: 1 },
+    typing: { capacity: 10, refillPerSecond: 2, drop: true },
+    mark_delivered: { capacity: 30, refillPerSecond: 5, drop: true },
+    mark_read: { capacity: 30, refillPerSecond: 5, drop: true },
+    read_message: { capacity: 30, refillPerSecond: 5 },
+  },
+
+  // A socket that hits its limits more than `maxViolations` times within
+  // `windowSeconds` is disconnected and refused for `banSeconds`
+  offenders: {
+    maxViolations: 10,
+    windowSeconds: 60,
+    banSeconds: 300,
+  },
+};
@@ -0,0 +1,13 @@
+module.exports = {
+  // 'memory' for a single process; 'mongo' or 'redis' when running several
+  // instances so broadcasts, fetchSockets() and disconnectSockets() reach them all
+  adapter: process.env.SOCKET_ADAPTER || 'memory',
+  mongo: {
+    // Capped collection the instances exchange events through
+    collection: process.env.SOCKET_ADAPTER_COLLECTION || 'socket.io-adapter-events',
+    collectionSize: 1e6, // bytes
+  },
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+  },
+};
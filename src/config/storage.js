@@ -0,0 +1,13 @@
+module.exports = {
+    // 'local' writes to disk; 's3' targets AWS S3 or any S3-compatible service
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localDir: process.env.UPLOAD_DIR || 'uploads',
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. a MinIO URL; unset for AWS
+    },
+    maxFileSize: Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+    allowedMimeTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+    thumbnailWidth: 320,
+  };
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Attachment = require('../models/Attachment');
+const checkRoomAccess = require('../utils/roomAccess');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('../services/storage');
+const { MessageError } = require('../services/messageService');
+const { storeAttachment, toAttachmentSummary } = require('../services/attachmentService');
+
+// Files are held in memory only long enough to validate and store them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: storageConfig.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (storageConfig.allowedMimeTypes.includes(file.mimetype)) return cb(null, true);
+    cb(new MessageError('UNSUPPORTED_TYPE', 'File type not allowed', 415));
+  },
+});
+
+const parseUpload = (req, res) =>
+  new Promise((resolve, reject) => {
+    upload.single('file')(req, res, (error) => (error ? reject(error) : resolve(req.file)));
+  });
+
+const forbidden = (res) =>
+  res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+
+// Upload a file to a room; send_message then references it by the returned _id
+exports.uploadAttachment = async (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'POST /api/chat/:roomId/attachments',
+      ip: req.ip,
+    });
+    if (!granted) return forbidden(res);
+
+    const file = await parseUpload(req, res);
+    if (!file) return res.status(400).json({ error: 'A file is required', code: 'NO_FILE' });
+
+    const attachment = await storeAttachment({ roomId, uploader: req.user.id, file });
+    res.status(201).json(toAttachmentSummary(attachment));
+  } catch (error) {
+    if (error instanceof MessageError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+};
+
+// Stream an attachment (or its thumbnail with ?variant=thumbnail) to a room participant
+exports.downloadAttachment = async (req, res) => {
+  const { roomId, attachmentId } = req.params;
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'GET /api/chat/:roomId/attachments/:attachmentId',
+      ip: req.ip,
+    });
+    if (!granted) return forbidden(res);
+
+    const attachment = mongoose.isValidObjectId(attachmentId)
+      ? await Attachment.findOne({ _id: attachmentId, roomId })
+      : null;
+    const thumbnail = req.query.variant === 'thumbnail';
+    if (!attachment || (thumbnail && !attachment.thumbnailKey)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const stream = await getStorage().getStream(
+      thumbnail ? attachment.thumbnailKey : attachment.storageKey
+    );
+    res.set({
+      'Content-Type': thumbnail ? 'image/webp' : attachment.mimeType,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (!thumbnail) res.attachment(attachment.fileName);
+
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+};
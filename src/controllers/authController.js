@@ -1,18 +1,95 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
 const hashPassword = require('../utils/hashPassword');
+const jwtConfig = require('../config/jwt');
+const authConfig = require('../config/auth');
+const lockoutConfig = require('../config/lockout');
+const lockout = require('../services/lockoutService');
+const { sendVerificationEmail, verifyEmail } = require('../services/emailVerificationService');
+const { sendResetEmail, resetPassword } = require('../services/passwordResetService');
+const twoFactor = require('../services/twoFactorService');
+const {
+  revokeToken,
+  revokeSessionTokens,
+  revokeAllSessions,
+  disconnectRevoked
+} = require('../services/tokenRevocationService');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken
+} = require('../utils/generateToken');
+const { getKeySet } = require('../utils/signingKeys');
+
+// Issues an access/refresh pair and stores the refresh token under the given family.
+// The family doubles as the session ID (`sid`) so a session survives rotation.
+const issueTokens = async (user, family, req) => {
+  const accessToken = generateAccessToken({ id: user._id, role: user.role, sid: family });
+  const refreshToken = generateRefreshToken({ id: user._id, family });
+  const { exp } = jwt.decode(refreshToken);
+
+  await new RefreshToken({
+    userId: user._id,
+    refreshToken,
+    family,
+    expiryDate: new Date(exp * 1000),
+    userAgent: req.headers['user-agent'] || null,
+    ip: req.ip || null
+  }).save();
+
+  return { accessToken, refreshToken };
+};
+
+const refuseLogin = (res, status, message, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ message, retryAfter });
+};
+
+// Answers an attempt that lockout.checkAttempt refused
+const refuseBlocked = (res, block) =>
+  block.accountLocked
+    ? refuseLogin(res, 423, 'Account temporarily locked', block.retryAfter)
+    : refuseLogin(res, 429, 'Too many failed attempts', block.retryAfter);
+
+// Counts a failed sign-in and answers it. When this failure locks the account
+// the owner, if there is one, is emailed a link to unlock it.
+const rejectLogin = async (req, res, { email, user, message = 'Invalid credentials' }) => {
+  const { accountLocked } = await lockout.recordFailure({ email, ip: req.ip });
+  if (!accountLocked) return res.status(400).json({ message });
+
+  if (user) {
+    try {
+      await lockout.sendUnlockEmail(user);
+    } catch (error) {
+      // The lock stands either way; staff can still lift it
+      console.error('Failed to send unlock email:', error.message);
+    }
+  }
+  return refuseLogin(res, 423, 'Account temporarily locked', lockoutConfig.account.lockSeconds);
+};
 
 exports.register = async (req, res) => {
   try {
     const { email, password, firstName, lastName, role } = req.body;
+    // Staff accounts are provisioned by an administrator, never self-registered
+    if (role === 'dispatcher') return res.status(403).json({ message: 'Role not allowed' });
+
     const existingUser = await User.findOne({ email });
     if (existingUser) return res.status(400).json({ message: 'Email already in use' });
 
     const hashedPassword = await hashPassword(password);
     const newUser = new User({ email, password: hashedPassword, firstName, lastName, role });
     await newUser.save();
+
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      // The account exists either way; the user can ask for another email
+      console.error('Failed to send verification email:', error.message);
+    }
     res.status(201).json({ message: 'User registered successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -22,21 +99,307 @@ exports.register = async (req, res) => {
 exports.login = async (req, res) => {
   try {
     const { email, password } = req.body;
+
+    // Locked or still waiting out a delay: refuse without checking the password
+    const block = await lockout.checkAttempt({ email, ip: req.ip });
+    if (block) return refuseBlocked(res, block);
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+    if (!user) return rejectLogin(req, res, { email });
 
     const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) return res.status(400).json({ message: 'Invalid credentials' });
+    if (!isPasswordValid) return rejectLogin(req, res, { email, user });
+
+    if (!user.emailVerified && authConfig.emailVerification.required) {
+      return res.status(403).json({ message: 'Email not verified' });
+    }
+
+    // The access/refresh pair waits until the second factor is checked
+    if (user.twoFactor?.enabled) {
+      const challengeToken = twoFactor.createChallenge(user, 'login');
+      return res.status(200).json({ twoFactorRequired: true, challengeToken });
+    }
+    if (twoFactor.isRequiredFor(user.role)) {
+      const challengeToken = twoFactor.createChallenge(user, 'enroll');
+      return res.status(200).json({ twoFactorSetupRequired: true, challengeToken });
+    }
+
+    // Failures are only cleared once tokens are issued, so re-entering a known
+    // password cannot reset the count of wrong second-factor codes
+    await lockout.recordSuccess({ email });
+    const tokens = await issueTokens(user, crypto.randomUUID(), req);
+    // Clients show a reminder to unverified users
+    res.status(200).json({ ...tokens, emailVerified: user.emailVerified });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Second login step: trades the challenge token and a code for the token pair.
+// Wrong codes count towards the account lockout like wrong passwords.
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = twoFactor.readChallenge(challengeToken, 'login');
+    if (!challenge) return res.status(401).json({ message: 'Invalid or expired challenge' });
+
+    const user = await User.findById(challenge.id);
+    if (!user) return res.status(401).json({ message: 'Invalid or expired challenge' });
+
+    const block = await lockout.checkAttempt({ email: user.email, ip: req.ip });
+    if (block) return refuseBlocked(res, block);
+
+    const verified = await twoFactor.verifySecondFactor(user._id, { code, recoveryCode });
+    if (!verified) return rejectLogin(req, res, { email: user.email, user, message: 'Invalid code' });
+
+    await lockout.recordSuccess({ email: user.email });
+    const tokens = await issueTokens(user, crypto.randomUUID(), req);
+    res.status(200).json({ ...tokens, emailVerified: user.emailVerified });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.twoFactor?.enabled) {
+      return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    res.status(200).json(await twoFactor.startEnrollment(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.completeEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) return res.status(400).json({ message: 'Invalid code' });
+    if (!req.user.enrolling) return res.status(200).json({ recoveryCodes });
+
+    // Enrolling during login completes the login as well
+    const user = await User.findById(req.user.id);
+    await lockout.recordSuccess({ email: user.email });
+    const tokens = await issueTokens(user, crypto.randomUUID(), req);
+    res.status(200).json({ recoveryCodes, ...tokens, emailVerified: user.emailVerified });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (twoFactor.isRequiredFor(req.user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const verified = await twoFactor.verifySecondFactor(req.user.id, { code, recoveryCode });
+    if (!verified) return res.status(400).json({ message: 'Invalid code' });
+
+    await twoFactor.disable(req.user.id);
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const verified = await twoFactor.verifySecondFactor(req.user.id, { code: req.body.code });
+    if (!verified) return res.status(400).json({ message: 'Invalid code' });
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+    res.status(200).json({ recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired verification token' });
+
+    res.status(200).json({ message: 'Email verified' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Answers the same, just as fast, whether or not the email belongs to an
+// unverified account, so it cannot be used to find out who is registered. As
+// with forgotPassword, the email is not awaited.
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = typeof email === 'string' ? await User.findOne({ email }) : null;
+    if (user && !user.emailVerified) {
+      sendVerificationEmail(user).catch((error) => {
+        console.error('Failed to send verification email:', error.message);
+      });
+    }
+
+    res.status(200).json({ message: 'If the account needs verifying, a new email is on its way' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Answers the same, just as fast, whether or not the email is registered. The
+// email is not awaited, so a slow or failing mail server cannot give it away.
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = typeof email === 'string' ? await User.findOne({ email }) : null;
+    if (user) {
+      sendResetEmail(user).catch((error) => {
+        console.error('Failed to send password reset email:', error.message);
+      });
+    }
+
+    res.status(200).json({ message: 'If the account exists, a password reset email is on its way' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || !password) {
+      return res.status(400).json({ message: 'Password required' });
+    }
+
+    const user = await resetPassword(token, password);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired reset token' });
+
+    await disconnectRevoked(req.app.get('io'), { userId: user._id });
+    res.status(200).json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.unlockAccount = async (req, res) => {
+  try {
+    const unlocked = await lockout.unlockWithToken(req.body.token);
+    if (!unlocked) return res.status(400).json({ message: 'Invalid or expired unlock token' });
+
+    res.status(200).json({ message: 'Account unlocked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(401).json({ message: 'Refresh token required' });
+
+    try {
+      jwt.verify(refreshToken, jwtConfig.refreshTokenSecret);
+    } catch (error) {
+      return res.status(403).json({ message: 'Invalid refresh token' });
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { refreshToken, revokedAt: null },
+      { revokedAt: new Date() }
+    );
 
-    const accessToken = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: '15m'
-    });
-    const refreshToken = jwt.sign({ id: user._id }, process.env.JWT_REFRESH_SECRET, {
-      expiresIn: '7d'
-    });
+    if (!stored) {
+      // A token that exists but was already rotated or revoked is being replayed:
+      // treat the whole family as compromised and force a fresh login
+      const replayed = await RefreshToken.findOne({ refreshToken });
+      if (replayed) {
+        await RefreshToken.updateMany(
+          { family: replayed.family, revokedAt: null },
+          { revokedAt: new Date() }
+        );
+        return res.status(403).json({ message: 'Refresh token reuse detected' });
+      }
+      return res.status(403).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user) return res.status(403).json({ message: 'Invalid refresh token' });
+
+    const tokens = await issueTokens(user, stored.family, req);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedByToken: tokens.refreshToken });
+    res.status(200).json(tokens);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(401).json({ message: 'Refresh token required' });
 
-    await new RefreshToken({ userId: user._id, refreshToken }).save();
-    res.status(200).json({ accessToken, refreshToken });
+    const stored = await RefreshToken.findOne({ refreshToken });
+    if (stored) {
+      await RefreshToken.updateMany(
+        { family: stored.family, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+    }
+
+    // Every access token of the session stops working now rather than when it
+    // expires, and the sockets using them are dropped
+    const io = req.app.get('io');
+    if (stored) {
+      const session = { userId: stored.userId, sid: stored.family };
+      await revokeSessionTokens(session);
+      await disconnectRevoked(io, session);
+    }
+
+    // The access token sent along may belong to another session, or predate sessions
+    const accessToken = req.headers.authorization?.split(' ')[1];
+    if (accessToken) {
+      let claims = null;
+      try {
+        claims = verifyAccessToken(accessToken);
+      } catch (error) {
+        // Already unusable
+      }
+      if (claims?.sid && claims.sid !== stored?.family) {
+        const session = { userId: claims.id, sid: claims.sid };
+        await revokeSessionTokens(session);
+        await disconnectRevoked(io, session);
+      } else if (claims && !claims.sid) {
+        await revokeToken(claims);
+        await disconnectRevoked(io, { userId: claims.id, jti: claims.jti });
+      }
+    }
+
+    // Logging out an unknown or already revoked token is not an error
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.logoutAll = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.app.get('io'), req.user.id);
+    res.status(200).json({ message: 'Logged out from all devices', revokedSessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Public keys other services use to verify our access tokens. Caches may keep
+// it for five minutes, so publish a new key at least that long before it signs.
+exports.getJwks = (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(getKeySet().jwks());
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+const ServiceRequest = require('../models/ServiceRequest');
+const checkRoomAccess = require('../utils/roomAccess');
+const {
+  encodeSeqCursor,
+  decodeSeqCursor,
+  seqQuery,
+  encodeCursor,
+  decodeCursor,
+} = require('../utils/cursor');
+const {
+  MessageError,
+  toMessagePayload,
+  toDeletedPayload,
+  createMessage,
+  editMessage,
+  deleteMessage,
+} = require('../services/messageService');
+const receiptService = require('../services/receiptService');
+const { getRoomPresence } = require('../services/presenceService');
+const { validatePayload } = require('../socket/validation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_INBOX_SIZE = 20;
+const MAX_INBOX_SIZE = 50;
+
+// Parses an optional positive integer query parameter; NaN means invalid
+const parseCount = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+// Sequence numbers in a range request that hold no message. Each seq is
+// reserved before its message is inserted, so a send that fails afterwards
+// (e.g. a concurrent retry losing the race for its clientMessageId) leaves a
+// gap that will never be filled. Covers the range up to the last message
+// returned, or up to the room's last seq once the range is exhausted.
+const findMissingSeqs = async (roomId, fromSeq, toSeq, messages, pageSize) => {
+  let upper;
+  if (messages.length === pageSize) {
+    upper = messages[messages.length - 1].seq;
+  } else {
+    const room = await ChatRoom.findOne({ roomId }).select('lastSeq');
+    upper = Math.min(toSeq, room ? room.lastSeq : 0);
+  }
+
+  const present = new Set(messages.map((message) => message.seq));
+  const missing = [];
+  for (let seq = fromSeq; seq <= upper; seq++) {
+    if (!present.has(seq)) missing.push(seq);
+  }
+  return missing;
+};
+
+// List the current user's conversations, most recently active first.
+// Each entry carries the last message preview, the user's unread count and
+// the status of the linked service request. Page with `before=<nextCursor>`.
+exports.getInbox = async (req, res) => {
+  const limit = parseCount(req.query.limit, DEFAULT_INBOX_SIZE);
+  if (Number.isNaN(limit)) {
+    return res.status(400).json({ error: 'Invalid limit' });
+  }
+  const cursor = req.query.before ? decodeCursor(req.query.before) : null;
+  if (req.query.before && !cursor) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    const userId = req.user.id;
+    const query = { 'participants.userId': userId };
+    if (cursor) {
+      query.$or = [
+        { lastActivityAt: { $lt: cursor.timestamp } },
+        { lastActivityAt: cursor.timestamp, _id: { $lt: cursor.id } },
+      ];
+    }
+
+    const pageSize = Math.min(limit, MAX_INBOX_SIZE);
+    const page = await ChatRoom.find(query)
+      .sort({ lastActivityAt: -1, _id: -1 })
+      .limit(pageSize + 1);
+    const rooms = page.slice(0, pageSize);
+    const last = rooms[rooms.length - 1];
+    const nextCursor =
+      page.length > pageSize
+        ? encodeCursor({ timestamp: last.lastActivityAt, _id: last._id })
+        : null;
+
+    const requestIds = rooms
+      .map((room) => room.roomId)
+      .filter((id) => mongoose.isValidObjectId(id));
+    const [unread, serviceRequests] = await Promise.all([
+      receiptService.countUnread(userId, rooms),
+      ServiceRequest.find({ _id: { $in: requestIds } }).select('status'),
+    ]);
+    const statuses = new Map(serviceRequests.map((request) => [request.id, request.status]));
+
+    const conversations = rooms.map((room) => ({
+      roomId: room.roomId,
+      participants: room.participants.map(({ userId: id, role }) => ({ userId: id, role })),
+      lastMessage: room.lastMessage,
+      lastActivityAt: room.lastActivityAt,
+      unread: unread.get(room.roomId) || 0,
+      serviceRequest: statuses.has(room.roomId)
+        ? { _id: room.roomId, status: statuses.get(room.roomId) }
+        : null,
+    }));
+
+    res.json({ conversations, nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+};
+
+// Fetch chat history for a room, one page at a time.
+// Without a cursor the newest page is returned; `before` pages towards older
+// messages and `after` towards newer ones. Messages are always oldest first.
+// `fromSeq`/`toSeq` instead fetch an exact range of sequence numbers, for
+// clients filling a gap they detected in receive_message.
+exports.getHistory = async (req, res) => {
+  const { roomId } = req.params;
+  const { before, after } = req.query;
+
+  const limit = parseCount(req.query.limit, DEFAULT_PAGE_SIZE);
+  if (Number.isNaN(limit)) {
+    return res.status(400).json({ error: 'Invalid limit' });
+  }
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+
+  const fromSeq = parseCount(req.query.fromSeq, null);
+  const toSeq = parseCount(req.query.toSeq, Infinity);
+  const bySeq = fromSeq !== null || req.query.toSeq !== undefined;
+  if (bySeq && (before || after)) {
+    return res.status(400).json({ error: 'Use either a cursor or a sequence range, not both' });
+  }
+  if (bySeq && (!fromSeq || Number.isNaN(toSeq) || toSeq < fromSeq)) {
+    return res.status(400).json({ error: 'Invalid sequence range' });
+  }
+
+  const cursorSeq = before || after ? decodeSeqCursor(before || after) : null;
+  if ((before || after) && cursorSeq === null) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'GET /api/chat/:roomId',
+      ip: req.ip,
+    });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+    // Range mode: at most one page; continue from the last returned seq + 1
+    if (bySeq) {
+      const range = { $gte: fromSeq };
+      if (toSeq !== Infinity) range.$lte = toSeq;
+      const messages = await ChatMessage.find(seqQuery(roomId, range))
+        .select('-editHistory')
+        .sort({ seq: 1 })
+        .limit(pageSize);
+      const missing = await findMissingSeqs(roomId, fromSeq, toSeq, messages, pageSize);
+      return res.json({ messages, missing, nextCursor: null });
+    }
+
+    // Pages follow seq, the room's canonical order, rather than timestamps,
+    // which concurrent senders can commit out of order
+    const forward = Boolean(after);
+    const range = cursorSeq === null ? {} : { [forward ? '$gt' : '$lt']: cursorSeq };
+
+    const direction = forward ? 1 : -1;
+    const page = await ChatMessage.find(seqQuery(roomId, range))
+      .select('-editHistory')
+      .sort({ seq: direction })
+      .limit(pageSize + 1);
+
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize);
+    const nextCursor = hasMore ? encodeSeqCursor(messages[messages.length - 1]) : null;
+    if (!forward) messages.reverse();
+
+    res.json({ messages, nextCursor });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch chat history' });
+  }
+};
+
+// Send a message without a socket connection, for integrations such as the
+// IVR system. The body is checked against the send_message socket schema, and
+// idempotency and the receive_message broadcast work the same way too.
+exports.sendMessage = async (req, res) => {
+  const errors = validatePayload('send_message', req.body);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid message', code: 'INVALID_PAYLOAD', errors });
+  }
+  const { roomId, message, clientMessageId, attachments: attachmentIds } = req.body;
+
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'POST /api/chat/send',
+      ip: req.ip,
+    });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    const { chatMessage, duplicate } = await createMessage({
+      roomId,
+      sender: req.user.id,
+      message,
+      clientMessageId,
+      attachmentIds,
+    });
+    if (!duplicate) {
+      req.app.get('io')?.to(roomId).emit('receive_message', toMessagePayload(chatMessage));
+    }
+    res.status(duplicate ? 200 : 201).json({ ...toMessagePayload(chatMessage), duplicate });
+  } catch (error) {
+    if (error instanceof MessageError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+};
+
+// Shared by the edit and delete endpoints: checks membership, applies the
+// change and tells the room about it. With `payloadEvent`, the IDs and body
+// must pass that socket event's schema first, as they do over the socket.
+const changeMessage = (change, action, broadcastEvent, toBroadcast, payloadEvent) => async (req, res) => {
+  const { roomId, messageId } = req.params;
+  if (payloadEvent) {
+    const errors = validatePayload(payloadEvent, { roomId, messageId, message: req.body.message });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid message', code: 'INVALID_PAYLOAD', errors });
+    }
+  }
+
+  try {
+    const granted = await checkRoomAccess({ roomId, userId: req.user.id, action, ip: req.ip });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    const { message } = req.body;
+    const chatMessage = await change({ roomId, messageId, userId: req.user.id, message });
+    req.app.get('io')?.to(roomId).emit(broadcastEvent, toBroadcast(chatMessage));
+    res.json(toMessagePayload(chatMessage));
+  } catch (error) {
+    if (error instanceof MessageError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to update message' });
+  }
+};
+
+exports.editMessage = changeMessage(
+  editMessage,
+  'PATCH /api/chat/:roomId/messages/:messageId',
+  'message_updated',
+  toMessagePayload,
+  'edit_message'
+);
+
+exports.deleteMessage = changeMessage(
+  deleteMessage,
+  'DELETE /api/chat/:roomId/messages/:messageId',
+  'message_deleted',
+  toDeletedPayload
+);
+
+// Unread message counts for every room the current user participates in
+exports.getUnreadCounts = async (req, res) => {
+  try {
+    const rooms = await receiptService.getUnreadCounts(req.user.id);
+    const total = rooms.reduce((sum, room) => sum + room.unread, 0);
+    res.json({ rooms, total });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch unread counts' });
+  }
+};
+
+// Delivered/read watermarks of every participant in a room
+exports.getReceipts = async (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'GET /api/chat/:roomId/receipts',
+      ip: req.ip,
+    });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    res.json({ receipts: await receiptService.getReceipts(roomId) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch receipts' });
+  }
+};
+
+// Online status and last seen time of every participant in a room
+exports.getPresence = async (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'GET /api/chat/:roomId/presence',
+      ip: req.ip,
+    });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    res.json({ participants: await getRoomPresence(req.app.get('io'), roomId) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch presence' });
+  }
+};
+
+// Marks every message up to `seq` as read, same as the mark_read socket event
+exports.markRead = async (req, res) => {
+  const { roomId } = req.params;
+  try {
+    const granted = await checkRoomAccess({
+      roomId,
+      userId: req.user.id,
+      action: 'POST /api/chat/:roomId/read',
+      ip: req.ip,
+    });
+    if (!granted) {
+      return res.status(403).json({ error: 'Forbidden: you are not a participant in this room' });
+    }
+
+    const { seq } = req.body;
+    const receipt = await receiptService.markRead({ roomId, userId: req.user.id, seq });
+    req.app.get('io')?.to(roomId).emit('receipt_updated', receipt);
+    res.json(receipt);
+  } catch (error) {
+    if (error instanceof MessageError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to update receipt' });
+  }
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const ChatRoom = require('../models/ChatRoom');
+const User = require('../models/User');
+const { userRoom } = require('../services/presenceService');
+
+// Which states each role may move a request into via the status endpoint.
+// 'assigned' is only reachable through the assign endpoint.
+const STATUS_PERMISSIONS = {
+  customer: ['cancelled'],
+  driver: ['en_route', 'on_site', 'completed'],
+  dispatcher: ['en_route', 'on_site', 'completed', 'cancelled'],
+};
+
+const isInvolved = (user, serviceRequest) =>
+  user.role === 'dispatcher' ||
+  serviceRequest.customer.equals(user.id) ||
+  Boolean(serviceRequest.driver?.equals(user.id));
+
+const findServiceRequest = (id) =>
+  mongoose.isValidObjectId(id) ? ServiceRequest.findById(id) : null;
+
+// Pushes the new state to everyone in the request's chat room
+const broadcastUpdate = (req, serviceRequest) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const latest = serviceRequest.statusHistory[serviceRequest.statusHistory.length - 1];
+  io.to(serviceRequest.roomId).emit('service_request_updated', {
+    requestId: serviceRequest._id,
+    roomId: serviceRequest.roomId,
+    status: serviceRequest.status,
+    driver: serviceRequest.driver,
+    changedBy: latest.changedBy,
+    changedAt: latest.changedAt,
+  });
+};
+
+exports.createServiceRequest = async (req, res) => {
+  try {
+    const { description, location } = req.body;
+    if (!description || !location) {
+      return res.status(400).json({ message: 'Description and location are required' });
+    }
+
+    const serviceRequest = new ServiceRequest({
+      customer: req.user.id,
+      description,
+      location,
+      statusHistory: [{ status: 'requested', changedBy: req.user.id }],
+    });
+    await serviceRequest.save();
+    await ChatRoom.create({
+      roomId: serviceRequest.roomId,
+      participants: [{ userId: req.user.id, role: 'customer' }],
+    });
+
+    res.status(201).json(serviceRequest);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.getServiceRequest = async (req, res) => {
+  try {
+    const serviceRequest = await findServiceRequest(req.params.id);
+    if (!serviceRequest || !isInvolved(req.user, serviceRequest)) {
+      return res.status(404).json({ message: 'Service request not found' });
+    }
+
+    res.status(200).json(serviceRequest);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.assignDriver = async (req, res) => {
+  try {
+    const { driverId } = req.body;
+    const serviceRequest = await findServiceRequest(req.params.id);
+    if (!serviceRequest) return res.status(404).json({ message: 'Service request not found' });
+
+    if (!['requested', 'assigned'].includes(serviceRequest.status)) {
+      return res
+        .status(409)
+        .json({ message: `Cannot assign a driver to a ${serviceRequest.status} request` });
+    }
+
+    const driver = mongoose.isValidObjectId(driverId) ? await User.findById(driverId) : null;
+    if (!driver || driver.role !== 'driver') {
+      return res.status(400).json({ message: 'A valid driver is required' });
+    }
+
+    const previousDriver = serviceRequest.driver;
+    serviceRequest.driver = driver._id;
+    serviceRequest.status = 'assigned';
+    serviceRequest.statusHistory.push({ status: 'assigned', changedBy: req.user.id });
+    await serviceRequest.save();
+
+    // A reassigned driver loses access to the conversation. Sockets already
+    // in the room are only checked on join, so theirs are removed from it on
+    // every instance.
+    if (previousDriver && !previousDriver.equals(driver._id)) {
+      await ChatRoom.updateOne(
+        { roomId: serviceRequest.roomId },
+        { $pull: { participants: { userId: previousDriver, role: 'driver' } } }
+      );
+      req.app.get('io')?.in(userRoom(String(previousDriver))).socketsLeave(serviceRequest.roomId);
+    }
+    await ChatRoom.updateOne(
+      { roomId: serviceRequest.roomId },
+      {
+        $addToSet: {
+          participants: {
+            $each: [
+              { userId: driver._id, role: 'driver' },
+              { userId: req.user.id, role: 'dispatcher' },
+            ],
+          },
+        },
+      }
+    );
+
+    broadcastUpdate(req, serviceRequest);
+    res.status(200).json(serviceRequest);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.updateStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const serviceRequest = await findServiceRequest(req.params.id);
+    if (!serviceRequest || !isInvolved(req.user, serviceRequest)) {
+      return res.status(404).json({ message: 'Service request not found' });
+    }
+
+    if (!ServiceRequest.STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    if (!STATUS_PERMISSIONS[req.user.role]?.includes(status)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    if (!ServiceRequest.canTransition(serviceRequest.status, status)) {
+      return res
+        .status(409)
+        .json({ message: `Cannot move a request from ${serviceRequest.status} to ${status}` });
+    }
+
+    serviceRequest.status = status;
+    serviceRequest.statusHistory.push({ status, changedBy: req.user.id });
+    await serviceRequest.save();
+
+    broadcastUpdate(req, serviceRequest);
+    res.status(200).json(serviceRequest);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,4 +1,12 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const lockout = require('../services/lockoutService');
+const {
+  revokeSessionTokens,
+  revokeAllSessions,
+  disconnectRevoked
+} = require('../services/tokenRevocationService');
 
 exports.getProfile = async (req, res) => {
   try {
@@ -7,4 +15,75 @@ exports.getProfile = async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// A session is a refresh token family; only its latest, unrevoked token is live
+exports.getSessions = async (req, res) => {
+  try {
+    const tokens = await RefreshToken.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiryDate: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const sessions = tokens.map((token) => ({
+      id: token.family,
+      userAgent: token.userAgent,
+      ip: token.ip,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiryDate,
+      current: token.family === req.user.sid
+    }));
+    res.status(200).json(sessions);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.revokeSession = async (req, res) => {
+  try {
+    const { modifiedCount } = await RefreshToken.updateMany(
+      { userId: req.user.id, family: req.params.sessionId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    if (!modifiedCount) return res.status(404).json({ message: 'Session not found' });
+
+    // The session's access tokens and sockets go too, rather than lasting until expiry
+    const session = { userId: req.user.id, sid: req.params.sessionId };
+    await revokeSessionTokens(session);
+    await disconnectRevoked(req.app.get('io'), session);
+    res.status(200).json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Resolves to null for malformed IDs, which are answered like unknown users
+const findUser = (id) => (mongoose.isValidObjectId(id) ? User.findById(id) : null);
+
+// Staff can lift a lockout for a customer or driver who calls in
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    await lockout.unlockAccount(user.email);
+    res.status(200).json({ message: 'Account unlocked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Staff can sign a user out of every device at once, e.g. when an account is
+// compromised. Their access tokens stop working immediately.
+exports.revokeUserTokens = async (req, res) => {
+  try {
+    const user = await findUser(req.params.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const revokedSessions = await revokeAllSessions(req.app.get('io'), user._id);
+    res.status(200).json({ message: 'Tokens revoked', revokedSessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
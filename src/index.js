@@ -1,113 +1,126 @@
-require('dotenv').config();
-const express = require('express');
-const http = require('http');
-const { Server } = require('socket.io');
-const cors = require('cors');
-const mongoose=require('mongoose');
-
-
-
-mongoose.connect('mongodb://localhost:27017/rsa', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-})
-    .then(() => {
-        console.log('Connected to MongoDB');
-    })
-    .catch((err) => {
-        console.error('Error connecting to MongoDB:', err.message);
-    });
-
-
-
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-    cors: {
-        origin: '*', // Allow all origins for now
-        methods: ['GET', 'POST'],
-    },
-});
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-const chatRoutes = require('./routes/chatRoutes');
-app.use('/api/chat', chatRoutes);
-
-// Routes (placeholder)
-app.get('/', (req, res) => {
-    res.send('Server is running!');
-});
-
-// Socket.IO connection
-const ChatMessage = require('./models/ChatMessage');
-
-io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
-
-    // Join a chat room
-    socket.on('join_room', ({ roomId }) => {
-        socket.join(roomId);
-        console.log(`User ${socket.id} joined room: ${roomId}`);
-    });
-
-    // Handle sending a message
-    socket.on('send_message', async (data) => {
-        const { roomId, sender, message } = data;
-
-        // Save the message in the database
-        try {
-            const chatMessage = new ChatMessage({ roomId, sender, message });
-            await chatMessage.save();
-            console.log(`Message saved: ${message}`);
-
-            // Broadcast the message to the room
-            io.to(roomId).emit('receive_message', { sender, message, timestamp: new Date() });
-        } catch (error) {
-            console.error('Error saving message:', error);
-        }
-    });
-
-    // Handle user disconnect
-    socket.on('disconnect', () => {
-        console.log(`User disconnected: ${socket.id}`);
-    });
-
-    socket.on('typing', ({ roomId, isTyping }) => {
-        // Broadcast the typing event to everyone in the room except the sender
-        socket.to(roomId).emit('typing', {
-            user: socket.user.userId, // Include user ID to identify who is typing
-            isTyping,
-        });
-    });
-    
-    socket.on('read_message', async ({ messageId, roomId }) => {
-        const userId = socket.user.userId;
-    
-        try {
-            // Update the message to mark it as read
-            await ChatMessage.updateOne(
-                { _id: messageId },
-                { $addToSet: { readBy: userId } } // Add userId if not already in the array
-            );
-    
-            // Notify the room about the read receipt
-            socket.to(roomId).emit('message_read', { messageId, userId });
-        } catch (error) {
-            console.error('Failed to mark message as read:', error);
-        }
-    });
-});
-
-
-
-
-
-
-
-
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
+require('dotenv').config();
+const express = require('express');
+const http = require('http');
+const { Server } = require('socket.io');
+const cors = require('cors');
+const mongoose=require('mongoose');
+const { startSync: startRevocationSync } = require('./services/tokenRevocationService');
+const ChatMessage = require('./models/ChatMessage');
+
+
+
+const connected = mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/rsa', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+})
+    .then(async () => {
+        console.log('Connected to MongoDB');
+        // Revoked access tokens are checked from memory; load them before serving
+        await startRevocationSync().catch((err) =>
+            console.error('Error loading revoked tokens:', err.message)
+        );
+        // History and replay follow seq; number messages saved before it existed
+        await ChatMessage.backfillSeqs()
+            .then((count) => count && console.log(`Assigned seq to ${count} existing messages`))
+            .catch((err) => console.error('Error numbering existing messages:', err.message));
+        return true;
+    })
+    .catch((err) => {
+        console.error('Error connecting to MongoDB:', err.message);
+        return false;
+    });
+
+
+
+const app = express();
+const server = http.createServer(app);
+const io = new Server(server, {
+    cors: {
+        origin: '*', // Allow all origins for now
+        methods: ['GET', 'POST'],
+    },
+});
+
+// Number of proxies in front of the app, so rate limits see the client's IP
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
+// Middleware
+app.use(cors());
+app.use(express.json());
+const authRoutes = require('./routes/authRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const serviceRequestRoutes = require('./routes/serviceRequestRoutes');
+const userRoutes = require('./routes/userRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+app.use('/api/auth', authRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/service-requests', serviceRequestRoutes);
+app.use('/api/users', userRoutes);
+app.use('/.well-known', wellKnownRoutes);
+
+// Lets controllers broadcast to Socket.IO rooms via req.app.get('io')
+app.set('io', io);
+
+// Routes (placeholder)
+app.get('/', (req, res) => {
+    res.send('Server is running!');
+});
+
+// Socket.IO connection
+const socketAuthMiddleware = require('./middleware/socketAuthMiddleware');
+const registerAuthHandlers = require('./socket/authHandlers');
+const registerChatHandlers = require('./socket/chatHandlers');
+const registerPresenceHandlers = require('./socket/presenceHandlers');
+const createSocketAdapter = require('./socket/adapter');
+const { rejectBannedSockets } = require('./socket/rateLimit');
+const socketConfig = require('./config/socket');
+
+// Every socket must present a valid access token; sets socket.user
+io.use(socketAuthMiddleware);
+// Users recently disconnected for flooding are refused for a while
+io.use(rejectBannedSockets);
+
+io.on('connection', (socket) => {
+    // Token expiry timers; armed only once every handshake check has passed
+    registerAuthHandlers(io, socket);
+    registerChatHandlers(io, socket);
+    registerPresenceHandlers(io, socket);
+});
+
+
+
+
+
+
+
+
+// Load the JWT signing keys now so a bad key file stops startup rather than the first login
+const { getKeySet } = require('./utils/signingKeys');
+console.log(`Signing access tokens with key ${getKeySet().activeKid}`);
+
+const PORT = process.env.PORT || 5000;
+const listen = () => {
+    server.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+    });
+};
+
+// With several instances, the cluster adapter must be in place before any
+// socket connects, or broadcasts would only reach this process
+if (socketConfig.adapter === 'memory') {
+    // Waits for the startup tasks above (they never fail startup), so existing
+    // messages are numbered before new ones can be sent
+    connected.then(listen);
+} else {
+    connected
+        .then(async (ok) => {
+            if (!ok && socketConfig.adapter === 'mongo') throw new Error('MongoDB is not connected');
+            io.adapter(await createSocketAdapter());
+            console.log(`Socket.IO using the ${socketConfig.adapter} adapter`);
+            listen();
+        })
+        .catch((err) => {
+            console.error('Error setting up the Socket.IO adapter:', err.message);
+            process.exit(1);
+        });
+}
@@ -1,11 +1,13 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/generateToken');
+const { isRevoked } = require('../services/tokenRevocationService');
 
 const authMiddleware = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ message: 'Unauthorized' });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+    if (isRevoked(decoded)) return res.status(401).json({ message: 'Token revoked' });
     req.user = decoded;
     next();
   } catch (error) {
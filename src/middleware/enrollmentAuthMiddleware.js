@@ -0,0 +1,18 @@
+const authMiddleware = require('./authMiddleware');
+const { readChallenge } = require('../services/twoFactorService');
+
+// Two-factor setup normally needs an access token, but users whose role
+// requires two-factor cannot get one until it is set up. They authenticate
+// with the enrollment challenge token from login instead.
+const enrollmentAuthMiddleware = (req, res, next) => {
+  const { challengeToken } = req.body;
+  if (!challengeToken) return authMiddleware(req, res, next);
+
+  const challenge = readChallenge(challengeToken, 'enroll');
+  if (!challenge) return res.status(401).json({ message: 'Invalid or expired challenge' });
+
+  req.user = { id: challenge.id, role: challenge.role, enrolling: true };
+  next();
+};
+
+module.exports = enrollmentAuthMiddleware;
@@ -0,0 +1,21 @@
+const { consume } = require('../services/rateLimit');
+
+// Limits a route with the named rule from config/rateLimit. Signed-in users
+// are limited per user ID (place it after authMiddleware), everyone else per IP.
+// If the store is unreachable requests are let through rather than failing.
+const rateLimit = (name) => async (req, res, next) => {
+  try {
+    const identity = req.user?.id || req.ip;
+    const { allowed, retryAfterMs } = await consume(name, identity, req.user?.role);
+    if (allowed) return next();
+
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: 'Too many requests', retryAfter });
+  } catch (error) {
+    console.error(`Rate limiter unavailable for ${name}:`, error.message);
+    next();
+  }
+};
+
+module.exports = rateLimit;
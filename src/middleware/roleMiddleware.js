@@ -0,0 +1,10 @@
+// Restricts a route to users whose token carries one of the given roles.
+// Must run after authMiddleware.
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Forbidden' });
+  }
+  next();
+};
+
+module.exports = requireRole;
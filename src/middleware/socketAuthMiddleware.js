@@ -0,0 +1,27 @@
+const { verifyAccessToken } = require('../utils/generateToken');
+const { isRevoked } = require('../services/tokenRevocationService');
+
+// Clients send the access token as `auth: { token }`; a Bearer header also works
+const getHandshakeToken = (handshake) =>
+  handshake.auth?.token || handshake.headers?.authorization?.split(' ')[1];
+
+// Only authenticates: token expiry and `reauthenticate` are handled once the
+// socket is connected, see socket/authHandlers
+const socketAuthMiddleware = (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) return next(new Error('Unauthorized'));
+
+  try {
+    socket.user = verifyAccessToken(token);
+  } catch (error) {
+    return next(new Error('Invalid token'));
+  }
+  if (isRevoked(socket.user)) return next(new Error('Token revoked'));
+  // Lets a revoked token's or session's sockets be found on any instance
+  socket.data.jti = socket.user.jti;
+  socket.data.sid = socket.user.sid;
+
+  next();
+};
+
+module.exports = socketAuthMiddleware;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A file uploaded to a chat room. Bytes live in the storage driver; this
+// document holds the metadata needed to authorize and serve them.
+const attachmentSchema = new mongoose.Schema({
+  roomId: { type: String, required: true, index: true },
+  uploader: { type: String, required: true }, // User ID
+  fileName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  storageKey: { type: String, required: true },
+  thumbnailKey: { type: String, default: null }, // Only for images
+  messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChatMessage', default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
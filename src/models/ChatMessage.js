@@ -1,10 +1,167 @@
-const mongoose = require('mongoose');
-
-const chatMessageSchema = new mongoose.Schema({
-    roomId: { type: String, required: true }, // Service request ID
-    sender: { type: String, required: true }, // User ID (driver or mechanic)
-    message: { type: String, required: true },
-    timestamp: { type: Date, default: Date.now },
-});
-
-module.exports = mongoose.model('ChatMessage', chatMessageSchema);
+const mongoose = require('mongoose');
+const ChatRoom = require('./ChatRoom');
+
+const chatMessageSchema = new mongoose.Schema({
+    roomId: { type: String, required: true }, // Service request ID
+    sender: { type: String, required: true }, // User ID (driver or mechanic)
+    // Text is optional when the message carries attachments
+    message: {
+        type: String,
+        required: function () {
+            return !this.attachments?.length;
+        },
+    },
+    timestamp: { type: Date, default: Date.now },
+    clientMessageId: { type: String }, // Generated by the sending client to make retries idempotent
+    seq: { type: Number }, // Strictly increasing per room, assigned when the message is first saved
+    // Summaries of Attachment documents; _id is the attachment ID
+    attachments: [
+        {
+            fileName: { type: String, required: true },
+            mimeType: { type: String, required: true },
+            size: { type: Number, required: true },
+            hasThumbnail: { type: Boolean, default: false },
+        },
+    ],
+    editedAt: { type: Date },
+    deleted: { type: Boolean, default: false },
+    deletedAt: { type: Date },
+    // Prior versions of the text, oldest first, kept for auditing edits and deletions
+    editHistory: [
+        {
+            _id: false,
+            message: { type: String, default: '' }, // Empty for attachment-only messages
+            editedAt: { type: Date, required: true },
+        },
+    ],
+});
+
+// Finds where a client's lastSeenTimestamp falls in a room
+chatMessageSchema.index({ roomId: 1, timestamp: 1 });
+
+// Guarantees no two messages in a room ever share a sequence number, and
+// serves history pages and replays, which follow seq order
+chatMessageSchema.index(
+    { roomId: 1, seq: 1 },
+    { unique: true, partialFilterExpression: { seq: { $type: 'number' } } }
+);
+
+// A retried send with the same client ID resolves to the original message
+chatMessageSchema.index(
+    { sender: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
+// Atomically reserves `count` consecutive sequence numbers for a room and
+// returns the first one. The counter lives on the room's ChatRoom document.
+// Numbers are reserved before the insert and never handed back, so an insert
+// that fails (e.g. a duplicate clientMessageId from a concurrent retry) leaves
+// a gap; range requests report such seqs as `missing`.
+const reserveSeq = async (roomId, count = 1) => {
+    const room = await ChatRoom.findOneAndUpdate(
+        { roomId },
+        { $inc: { lastSeq: count } },
+        { new: true, upsert: true }
+    );
+    return room.lastSeq - count + 1;
+};
+
+chatMessageSchema.pre('save', async function () {
+    if (this.isNew && this.seq == null) {
+        this.seq = await reserveSeq(this.roomId);
+    }
+});
+
+// Bulk inserts get consecutive numbers per room, in array order
+chatMessageSchema.pre('insertMany', async function (next, docs) {
+    const pending = new Map();
+    for (const doc of docs) {
+        if (doc.seq != null) continue;
+        if (!pending.has(doc.roomId)) pending.set(doc.roomId, []);
+        pending.get(doc.roomId).push(doc);
+    }
+
+    for (const [roomId, roomDocs] of pending) {
+        const first = await reserveSeq(roomId, roomDocs.length);
+        roomDocs.forEach((doc, i) => {
+            doc.seq = first + i;
+        });
+    }
+});
+
+// Keeps the room's lastMessage preview current. A message only replaces the
+// preview if it is newer than the one shown, or is that message being edited.
+const updateRoomSummary = (message) => {
+    if (message.seq == null) return null;
+    const text = message.message || '';
+    return ChatRoom.updateOne(
+        {
+            roomId: message.roomId,
+            $or: [
+                { lastMessage: null },
+                { 'lastMessage.seq': { $lt: message.seq } },
+                { 'lastMessage._id': message._id },
+            ],
+        },
+        {
+            $set: {
+                lastMessage: {
+                    _id: message._id,
+                    sender: message.sender,
+                    preview: text.slice(0, ChatRoom.PREVIEW_LENGTH),
+                    attachmentCount: message.attachments ? message.attachments.length : 0,
+                    deleted: Boolean(message.deleted),
+                    timestamp: message.timestamp,
+                    seq: message.seq,
+                },
+            },
+            $max: { lastActivityAt: message.timestamp },
+        }
+    );
+};
+
+// Numbers messages stored before seq existed (or by an older server during a
+// rolling upgrade), so history and replay, which follow seq, still include
+// them. Each room's unnumbered messages get the next seqs after its lastSeq,
+// in (timestamp, _id) order. Run at startup, so pre-existing messages come
+// before any sent afterwards. Limited to one room if `roomId` is given.
+// Returns how many messages were numbered.
+chatMessageSchema.statics.backfillSeqs = async function (roomId) {
+    const unnumbered = { seq: { $not: { $type: 'number' } } };
+    const roomIds = roomId !== undefined ? [roomId] : await this.distinct('roomId', unnumbered);
+
+    let count = 0;
+    for (const id of roomIds) {
+        const messages = await this.find({ roomId: id, ...unnumbered })
+            .sort({ timestamp: 1, _id: 1 })
+            .select('_id');
+        if (!messages.length) continue;
+
+        const first = await reserveSeq(id, messages.length);
+        await this.bulkWrite(
+            messages.map(({ _id }, i) => ({
+                updateOne: { filter: { _id, ...unnumbered }, update: { $set: { seq: first + i } } },
+            }))
+        );
+        await updateRoomSummary(await this.findById(messages[messages.length - 1]._id));
+        count += messages.length;
+    }
+    return count;
+};
+
+chatMessageSchema.post('save', async function () {
+    await updateRoomSummary(this);
+});
+
+chatMessageSchema.post('insertMany', async function (docs) {
+    const newest = new Map();
+    for (const doc of docs) {
+        const current = newest.get(doc.roomId);
+        if (!current || doc.seq > current.seq) newest.set(doc.roomId, doc);
+    }
+    for (const doc of newest.values()) {
+        await updateRoomSummary(doc);
+    }
+});
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const participantSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ['customer', 'driver', 'dispatcher'], required: true },
+    // Receipt watermarks: every message up to this seq has reached / been read by the participant
+    lastDeliveredSeq: { type: Number, default: 0 },
+    lastReadSeq: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Preview of the newest message, kept up to date by ChatMessage's save hooks
+// so inboxes can be listed without scanning messages
+const lastMessageSchema = new mongoose.Schema({
+  _id: { type: mongoose.Schema.Types.ObjectId, required: true }, // Message ID
+  sender: { type: String, required: true },
+  preview: { type: String, default: '' }, // Start of the text, cut to PREVIEW_LENGTH
+  attachmentCount: { type: Number, default: 0 },
+  deleted: { type: Boolean, default: false },
+  timestamp: { type: Date, required: true },
+  seq: { type: Number, required: true },
+});
+
+const chatRoomSchema = new mongoose.Schema({
+  roomId: { type: String, required: true, unique: true }, // Service request ID
+  participants: [participantSchema],
+  lastSeq: { type: Number, default: 0 }, // Last message sequence number handed out in this room
+  lastMessage: { type: lastMessageSchema, default: null },
+  lastActivityAt: { type: Date, default: Date.now }, // Newest message, or when the room was created
+});
+
+// Serves membership checks and the inbox, newest conversations first
+chatRoomSchema.index({ 'participants.userId': 1, lastActivityAt: -1, _id: -1 });
+
+chatRoomSchema.statics.PREVIEW_LENGTH = 100;
+
+module.exports = mongoose.model('ChatRoom', chatRoomSchema);
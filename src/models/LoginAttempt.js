@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Failed sign-ins for one account or client IP, see services/lockoutService
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // `account:${email}` or `ip:${ip}`
+  failures: { type: Number, default: 0 }, // Within the window starting at firstFailureAt
+  firstFailureAt: { type: Date },
+  retryAt: { type: Date }, // No attempts are checked before this
+  lockedUntil: { type: Date },
+  unlockTokenHash: { type: String, index: { sparse: true } }, // SHA-256 of the emailed unlock token
+  unlockTokenExpiresAt: { type: Date },
+  expiresAt: { type: Date, expires: 0 }, // Nothing left to enforce by then
+});
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// The sockets each user has connected, on every instance. Written only through
+// the atomic updates in services/presenceService, which decide when a user
+// comes online or goes offline.
+const presenceSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  sockets: { type: [String], default: [] }, // Socket IDs
+});
+
+module.exports = mongoose.model('Presence', presenceSchema);
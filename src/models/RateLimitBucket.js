@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Shared token bucket state for rate limiting across instances. Written only
+// through the atomic update in services/rateLimit/mongoStore.
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // `${rule}:${user ID or IP}`
+  tokens: { type: Number, required: true },
+  allowed: { type: Boolean }, // Outcome of the latest consume
+  updatedAt: { type: Date, required: true },
+  expiresAt: { type: Date, expires: 0 }, // Full again by then, so it can go
+});
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
@@ -3,7 +3,14 @@ const mongoose = require('mongoose');
 const RefreshTokenSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   refreshToken: { type: String, required: true, unique: true },
-  expiryDate: { type: Date, required: true },
+  family: { type: String, required: true, index: true }, // Shared by every token rotated from the same login
+  expiryDate: { type: Date, required: true, expires: 0 }, // TTL index: Mongo purges the document once expired
+  revokedAt: { type: Date, default: null },
+  replacedByToken: { type: String, default: null },
+  userAgent: { type: String, default: null }, // Device that holds the session
+  ip: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
 });
 
-module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
\ No newline at end of file
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
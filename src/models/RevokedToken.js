@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Access tokens that must be refused before they expire, see
+// services/tokenRevocationService. An entry revokes one token by jti, every
+// token of one session, or every token a user was issued before `revokedBefore`.
+const revokedTokenSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // `jti:${jti}`, `sid:${sid}` or `user:${userId}`
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  revokedBefore: { type: Date }, // User entries only
+  revokedAt: { type: Date, required: true, index: true }, // Instances sync entries newer than their last look
+  expiresAt: { type: Date, required: true, expires: 0 }, // Every token it covers has expired by then
+});
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
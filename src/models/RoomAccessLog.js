@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Audit trail of who tried to access which conversation
+const roomAccessLogSchema = new mongoose.Schema({
+  roomId: { type: String, required: true, index: true },
+  userId: { type: String, required: true, index: true },
+  action: { type: String, required: true }, // e.g. 'join_room' or 'GET /api/chat/:roomId'
+  granted: { type: Boolean, required: true },
+  ip: { type: String, default: null },
+  timestamp: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('RoomAccessLog', roomAccessLogSchema);
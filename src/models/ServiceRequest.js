@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['requested', 'assigned', 'en_route', 'on_site', 'completed', 'cancelled'];
+
+// Allowed next states for each state; completed and cancelled are final
+const TRANSITIONS = {
+  requested: ['assigned', 'cancelled'],
+  assigned: ['en_route', 'cancelled'],
+  en_route: ['on_site', 'cancelled'],
+  on_site: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const serviceRequestSchema = new mongoose.Schema(
+  {
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    description: { type: String, required: true },
+    location: { type: String, required: true }, // Breakdown address or coordinates
+    status: { type: String, enum: STATUSES, default: 'requested' },
+    statusHistory: [statusChangeSchema],
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+// Each service request owns the chat room with the same ID
+serviceRequestSchema.virtual('roomId').get(function () {
+  return this._id.toString();
+});
+
+serviceRequestSchema.statics.STATUSES = STATUSES;
+
+serviceRequestSchema.statics.canTransition = (from, to) => TRANSITIONS[from]?.includes(to) ?? false;
+
+module.exports = mongoose.model('ServiceRequest', serviceRequestSchema);
@@ -1,11 +1,20 @@
-const mongoose = require('mongoose');
-
-const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  firstName: { type: String, required: true },
-  lastName: { type: String, required: true },
-  role: { type: String, enum: ['customer', 'driver'], required: true }
-});
-
-module.exports = mongoose.model('User', userSchema);
+const mongoose = require('mongoose');
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  password: { type: String, required: true },
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  role: { type: String, enum: ['customer', 'driver', 'dispatcher'], required: true },
+  emailVerified: { type: Boolean, default: false }, // Set once the emailed verification link is used
+  lastSeen: { type: Date }, // Last time the user had a socket connected
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // Base32 TOTP secret
+    pendingSecret: { type: String, select: false }, // Set up but not yet confirmed with a code
+    recoveryCodes: { type: [String], select: false }, // bcrypt hashes of the unused codes
+    lastUsedStep: { type: Number, default: 0 } // Time step of the last accepted code, so none is used twice
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One-time tokens emailed to a user, to verify their address or reset their password. Only a
+// SHA-256 hash is stored, so a leaked database cannot be used to redeem them.
+const userTokenSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, expires: 0 }, // TTL index: Mongo purges expired tokens
+  createdAt: { type: Date, default: Date.now },
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
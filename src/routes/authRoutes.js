@@ -1,9 +1,41 @@
 const express = require('express');
-const { register, login } = require('../controllers/authController');
+const {
+  register,
+  login,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
+  refresh,
+  logout,
+  logoutAll
+} = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const enrollmentAuth = require('../middleware/enrollmentAuthMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', rateLimit('register'), register);
+router.post('/login', rateLimit('login'), login);
+router.post('/2fa/verify', rateLimit('two_factor'), verifyTwoFactor);
+router.post('/2fa/setup', enrollmentAuth, rateLimit('two_factor'), setupTwoFactor);
+router.post('/2fa/enable', enrollmentAuth, rateLimit('two_factor'), enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, rateLimit('two_factor'), disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, rateLimit('two_factor'), regenerateRecoveryCodes);
+router.post('/verify-email', rateLimit('verify_email'), verifyEmail);
+router.post('/resend-verification', rateLimit('resend_verification'), resendVerification);
+router.post('/forgot-password', rateLimit('forgot_password'), forgotPassword);
+router.post('/reset-password', rateLimit('reset_password'), resetPassword);
+router.post('/unlock-account', rateLimit('unlock_account'), unlockAccount);
+router.post('/refresh', rateLimit('refresh'), refresh);
+router.post('/logout', logout);
+router.post('/logout-all', authMiddleware, logoutAll);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,16 +1,60 @@
-const express = require('express');
-const ChatMessage = require('../models/ChatMessage');
-const router = express.Router();
-
-// Fetch chat history for a room
-router.get('/:roomId', async (req, res) => {
-    const { roomId } = req.params;
-    try {
-        const messages = await ChatMessage.find({ roomId }).sort({ timestamp: 1 });
-        res.json(messages);
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch chat history' });
-    }
-});
-
-module.exports = router;
+const express = require('express');
+const {
+  getInbox,
+  getHistory,
+  sendMessage,
+  editMessage,
+  deleteMessage,
+  getUnreadCounts,
+  getReceipts,
+  markRead,
+  getPresence,
+} = require('../controllers/chatController');
+const { uploadAttachment, downloadAttachment } = require('../controllers/attachmentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+const router = express.Router();
+
+// List the current user's conversations
+router.get('/', authMiddleware, getInbox);
+
+// Send a message over REST, for clients that cannot hold a socket open
+router.post('/send', authMiddleware, rateLimit('send_message'), sendMessage);
+
+// Unread counts per room for the current user; must precede /:roomId
+router.get('/unread', authMiddleware, getUnreadCounts);
+
+// Fetch chat history for a room
+router.get('/:roomId', authMiddleware, getHistory);
+
+// Edit or delete a message; only its sender may, within the edit window
+router.patch(
+  '/:roomId/messages/:messageId',
+  authMiddleware,
+  rateLimit('edit_message'),
+  editMessage
+);
+router.delete(
+  '/:roomId/messages/:messageId',
+  authMiddleware,
+  rateLimit('delete_message'),
+  deleteMessage
+);
+
+// Delivered/read receipts for a room, and marking messages read over REST
+router.get('/:roomId/receipts', authMiddleware, getReceipts);
+router.post('/:roomId/read', authMiddleware, markRead);
+
+// Who in the room is connected right now, and when the others were last seen
+router.get('/:roomId/presence', authMiddleware, getPresence);
+
+// Upload files to a room and download them; participants only
+router.post(
+  '/:roomId/attachments',
+  authMiddleware,
+  rateLimit('upload_attachment'),
+  uploadAttachment
+);
+router.get('/:roomId/attachments/:attachmentId', authMiddleware, downloadAttachment);
+
+module.exports = router;
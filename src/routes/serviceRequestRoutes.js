@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  createServiceRequest,
+  getServiceRequest,
+  assignDriver,
+  updateStatus,
+} = require('../controllers/serviceRequestController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
+
+const router = express.Router();
+
+router.post('/', authMiddleware, requireRole('customer'), createServiceRequest);
+router.get('/:id', authMiddleware, getServiceRequest);
+router.patch('/:id/assign', authMiddleware, requireRole('dispatcher'), assignDriver);
+router.patch('/:id/status', authMiddleware, updateStatus);
+
+module.exports = router;
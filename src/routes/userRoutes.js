@@ -1,9 +1,20 @@
 const express = require('express');
-const { getProfile } = require('../controllers/userController');
+const {
+  getProfile,
+  getSessions,
+  revokeSession,
+  unlockUser,
+  revokeUserTokens
+} = require('../controllers/userController');
 const authMiddleware = require('../middleware/authMiddleware');
+const requireRole = require('../middleware/roleMiddleware');
 
 const router = express.Router();
 
 router.get('/me', authMiddleware, getProfile);
+router.get('/me/sessions', authMiddleware, getSessions);
+router.delete('/me/sessions/:sessionId', authMiddleware, revokeSession);
+router.post('/:userId/unlock', authMiddleware, requireRole('dispatcher'), unlockUser);
+router.post('/:userId/revoke-tokens', authMiddleware, requireRole('dispatcher'), revokeUserTokens);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
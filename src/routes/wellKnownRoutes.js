@@ -0,0 +1,8 @@
+const express = require('express');
+const { getJwks } = require('../controllers/authController');
+
+const router = express.Router();
+
+router.get('/jwks.json', getJwks);
+
+module.exports = router;
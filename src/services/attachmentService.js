@@ -0,0 +1,144 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const storageConfig = require('../config/storage');
+const { getStorage } = require('./storage');
+const MessageError = require('./messageError');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Summary embedded in a chat message so clients can render it without a lookup
+const toAttachmentSummary = (attachment) => ({
+  _id: attachment._id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  hasThumbnail: Boolean(attachment.thumbnailKey),
+});
+
+// The format sharp must detect for each accepted image type. Anything else it
+// can decode, such as SVG (which may carry scripts), is refused.
+const IMAGE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// Checks the bytes really are what the client claimed and builds a thumbnail for images
+const inspectFile = async ({ buffer, mimetype }) => {
+  if (mimetype === 'application/pdf') {
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new MessageError('INVALID_FILE', 'File is not a valid PDF', 400);
+    }
+    return null;
+  }
+
+  // The file is served with the declared type, so it must be that format exactly
+  const format = await sharp(buffer)
+    .metadata()
+    .then((metadata) => metadata.format)
+    .catch(() => null);
+  if (!IMAGE_FORMATS[mimetype] || format !== IMAGE_FORMATS[mimetype]) {
+    throw new MessageError('INVALID_FILE', 'File is not a valid image of the declared type', 400);
+  }
+
+  try {
+    return await sharp(buffer)
+      .rotate() // Respect EXIF orientation from phone cameras
+      .resize({ width: storageConfig.thumbnailWidth, withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    throw new MessageError('INVALID_FILE', 'File is not a valid image', 400);
+  }
+};
+
+// Stores an uploaded file (as parsed by multer) and its thumbnail
+const storeAttachment = async ({ roomId, uploader, file }) => {
+  const thumbnail = await inspectFile(file);
+
+  const attachment = new Attachment({
+    roomId,
+    uploader,
+    fileName: path.basename(file.originalname || 'file'),
+    mimeType: file.mimetype,
+    size: file.size,
+    storageKey: 'pending',
+  });
+  attachment.storageKey = `attachments/${attachment._id}`;
+  if (thumbnail) attachment.thumbnailKey = `${attachment.storageKey}-thumb`;
+
+  const storage = getStorage();
+  await storage.save(attachment.storageKey, file.buffer, file.mimetype);
+  if (thumbnail) await storage.save(attachment.thumbnailKey, thumbnail, 'image/webp');
+
+  await attachment.save();
+  return attachment;
+};
+
+// Validates attachment IDs referenced by a new message: each must have been
+// uploaded to this room by the sender and not be used by another message yet
+const resolveAttachments = async ({ roomId, userId, attachmentIds }) => {
+  if (attachmentIds == null) return [];
+  if (!Array.isArray(attachmentIds)) {
+    throw new MessageError('INVALID_ATTACHMENT', 'Attachments must be a list of IDs', 400);
+  }
+  if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new MessageError(
+      'INVALID_ATTACHMENT',
+      `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`,
+      400
+    );
+  }
+  if (!attachmentIds.length) return [];
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new MessageError('INVALID_ATTACHMENT', 'Unknown attachment', 400);
+  }
+
+  const attachments = await Attachment.find({
+    _id: { $in: ids },
+    roomId,
+    uploader: String(userId),
+    messageId: null,
+  });
+  if (attachments.length !== ids.length) {
+    throw new MessageError('INVALID_ATTACHMENT', 'Unknown attachment', 400);
+  }
+  return attachments;
+};
+
+// Gives attachments back after a send that claimed them failed
+const releaseAttachments = (attachments, messageId) =>
+  attachments.length
+    ? Attachment.updateMany(
+        { _id: { $in: attachments.map((a) => a._id) }, messageId },
+        { messageId: null }
+      )
+    : null;
+
+// Links attachments to the message that will carry them. Only unclaimed ones
+// are taken, so when two sends race for the same file one of them is refused
+// (and gives back whatever it did claim).
+const claimAttachments = async (attachments, messageId) => {
+  if (!attachments.length) return;
+
+  const { modifiedCount } = await Attachment.updateMany(
+    { _id: { $in: attachments.map((a) => a._id) }, messageId: null },
+    { messageId }
+  );
+  if (modifiedCount < attachments.length) {
+    await releaseAttachments(attachments, messageId);
+    throw new MessageError('INVALID_ATTACHMENT', 'Unknown attachment', 400);
+  }
+};
+
+module.exports = {
+  toAttachmentSummary,
+  storeAttachment,
+  resolveAttachments,
+  claimAttachments,
+  releaseAttachments,
+};
@@ -0,0 +1,31 @@
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+const { issueToken, consumeToken } = require('./userTokenService');
+
+// Emails the user a link to confirm their address. Any earlier link stops working.
+const sendVerificationEmail = async (user) => {
+  const { tokenTtlSeconds } = authConfig.emailVerification;
+  const token = await issueToken(user._id, 'verify_email', tokenTtlSeconds);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Please confirm this is your email address so we can reach you about your service requests:\n` +
+      `${mailConfig.appUrl}/verify-email?token=${token}\n\n` +
+      `The link expires in ${Math.round(tokenTtlSeconds / 3600)} hours. If you did not sign up, you can ignore this email.`,
+  });
+};
+
+// Marks the token's user as verified. Returns the user, or null for an
+// unknown, expired or already used token.
+const verifyEmail = async (token) => {
+  const stored = await consumeToken(token, 'verify_email');
+  if (!stored) return null;
+  return User.findByIdAndUpdate(stored.userId, { emailVerified: true }, { new: true });
+};
+
+module.exports = { sendVerificationEmail, verifyEmail };
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const lockoutConfig = require('../config/lockout');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+
+const accountKey = (email) => `account:${email}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Records an attempt is counted against. Failures without an email still
+// count against the client IP.
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (typeof email === 'string' && email) keys.push({ key: accountKey(email), rule: lockoutConfig.account });
+  if (ip) keys.push({ key: ipKey(ip), rule: lockoutConfig.ip });
+  return keys;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Seconds the caller must wait after `failures` consecutive failures
+const delayFor = (failures, rule) => {
+  if (failures <= rule.freeAttempts) return 0;
+  const delay = lockoutConfig.baseDelaySeconds * 2 ** (failures - rule.freeAttempts - 1);
+  return Math.min(delay, lockoutConfig.maxDelaySeconds);
+};
+
+// Decides whether a sign-in may be checked at all. Returns null to go ahead,
+// or { accountLocked, retryAfter } when the account or IP must wait.
+const checkAttempt = async ({ email, ip }) => {
+  if (!lockoutConfig.enabled) return null;
+
+  const now = Date.now();
+  const records = await LoginAttempt.find({ key: { $in: keysFor({ email, ip }).map(({ key }) => key) } });
+
+  let block = null;
+  for (const record of records) {
+    const lockedUntil = record.lockedUntil?.getTime() || 0;
+    const waitUntil = Math.max(record.retryAt?.getTime() || 0, lockedUntil);
+    if (waitUntil <= now) continue;
+
+    const retryAfter = Math.ceil((waitUntil - now) / 1000);
+    const accountLocked = record.key === accountKey(email) && lockedUntil > now;
+    if (!block || retryAfter > block.retryAfter) block = { accountLocked, retryAfter };
+  }
+  return block;
+};
+
+// Adds a failure to the record's current window, or starts a new window
+const countFailure = async (key, now) => {
+  const windowStart = new Date(now.getTime() - lockoutConfig.windowSeconds * 1000);
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key, firstFailureAt: { $gt: windowStart } },
+    { $inc: { failures: 1 } },
+    { new: true }
+  );
+  if (record) return record;
+
+  try {
+    return await LoginAttempt.findOneAndUpdate(
+      { key },
+      { failures: 1, firstFailureAt: now },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Another failure created the record at the same moment; count against it
+    if (error.code !== 11000) throw error;
+    return countFailure(key, now);
+  }
+};
+
+// Counts a failed sign-in against the account and the IP, setting the next
+// allowed attempt and locking out once `maxAttempts` is reached.
+// Returns { accountLocked } when this failure locked the account.
+const recordFailure = async ({ email, ip }) => {
+  if (!lockoutConfig.enabled) return { accountLocked: false };
+
+  const now = new Date();
+  let accountLocked = false;
+
+  for (const { key, rule } of keysFor({ email, ip })) {
+    const record = await countFailure(key, now);
+    const update = {
+      expiresAt: new Date(now.getTime() + (lockoutConfig.windowSeconds + rule.lockSeconds) * 1000),
+    };
+
+    if (record.failures >= rule.maxAttempts) {
+      // The count starts over once the lock ends
+      update.lockedUntil = new Date(now.getTime() + rule.lockSeconds * 1000);
+      update.retryAt = update.lockedUntil;
+      update.failures = 0;
+      update.firstFailureAt = null;
+      if (key === accountKey(email)) accountLocked = true;
+    } else {
+      update.retryAt = new Date(now.getTime() + delayFor(record.failures, rule) * 1000);
+    }
+    await LoginAttempt.updateOne({ _id: record._id }, update);
+  }
+
+  return { accountLocked };
+};
+
+// A successful sign-in clears the account's failures. The IP keeps its count
+// so one known password cannot be used to reset guessing at others.
+const recordSuccess = async ({ email }) => {
+  if (!lockoutConfig.enabled) return;
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+// Emails the account owner that they were locked out, with a one-time link
+// that lifts the lock early
+const sendUnlockEmail = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key: accountKey(user.email) },
+    {
+      unlockTokenHash: hashToken(token),
+      unlockTokenExpiresAt: new Date(Date.now() + lockoutConfig.unlockTokenTtlSeconds * 1000),
+    },
+    { new: true }
+  );
+  if (!record) return;
+
+  const minutes = Math.ceil((record.lockedUntil.getTime() - Date.now()) / 60000);
+  await sendMail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `After several failed sign-in attempts we have locked your account for ${minutes} minutes.\n\n` +
+      `If this was you, you can unlock it now:\n${mailConfig.appUrl}/unlock-account?token=${token}\n\n` +
+      `If it was not you, your password has not been changed, but consider changing it once you are signed in.`,
+  });
+};
+
+// Lifts a lock with the token from the unlock email. Each token works once.
+const unlockWithToken = async (token) => {
+  if (typeof token !== 'string' || !token) return false;
+  const record = await LoginAttempt.findOneAndDelete({
+    unlockTokenHash: hashToken(token),
+    unlockTokenExpiresAt: { $gt: new Date() },
+  });
+  return Boolean(record);
+};
+
+// Clears every failure and lock on the account, for staff acting on a user's behalf
+const unlockAccount = async (email) => {
+  const { deletedCount } = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return deletedCount > 0;
+};
+
+module.exports = {
+  delayFor,
+  checkAttempt,
+  recordFailure,
+  recordSuccess,
+  sendUnlockEmail,
+  unlockWithToken,
+  unlockAccount,
+};
@@ -0,0 +1,8 @@
+// Writes messages to the log instead of delivering them, for local development
+const createConsoleTransport = () => ({
+  async send({ from, to, subject, text }) {
+    console.log(`Mail from ${from} to ${to}: ${subject}\n${text}`);
+  },
+});
+
+module.exports = createConsoleTransport;
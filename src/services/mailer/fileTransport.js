@@ -0,0 +1,23 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to its own .eml file in `dir`, which any mail client can open
+const createFileTransport = ({ dir }) => ({
+  async send({ from, to, subject, text }) {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.eml`;
+    const contents = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text,
+    ].join('\r\n');
+    await fs.writeFile(path.join(dir, fileName), contents);
+  },
+});
+
+module.exports = createFileTransport;
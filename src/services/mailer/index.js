@@ -0,0 +1,30 @@
+const mailConfig = require('../../config/mail');
+
+// Every mail transport implements:
+//   send({ from, to, subject, text }) -> Promise
+const transports = {
+  smtp: () => require('./smtpTransport')(mailConfig.smtp),
+  file: () => require('./fileTransport')({ dir: mailConfig.dir }),
+  console: () => require('./consoleTransport')(),
+};
+
+let transport;
+
+// Returns the configured transport, creating it on first use
+const getMailer = () => {
+  if (!transport) {
+    const createTransport = transports[mailConfig.transport];
+    if (!createTransport) throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replaces the transport, e.g. with one that records messages in tests
+const setMailer = (mailer) => {
+  transport = mailer;
+};
+
+const sendMail = (message) => getMailer().send({ from: mailConfig.from, ...message });
+
+module.exports = { getMailer, setMailer, sendMail };
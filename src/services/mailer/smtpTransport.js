@@ -0,0 +1,19 @@
+const nodemailer = require('nodemailer');
+
+// Delivers messages through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    async send({ from, to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
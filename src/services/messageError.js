@@ -0,0 +1,10 @@
+// Carries a machine-readable code for socket acks and the matching HTTP status
+class MessageError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = MessageError;
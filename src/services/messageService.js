@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const chatConfig = require('../config/chat');
+const MessageError = require('./messageError');
+const {
+  toAttachmentSummary,
+  resolveAttachments,
+  claimAttachments,
+  releaseAttachments,
+} = require('./attachmentService');
+
+// Shown in place of a deleted message's content
+const DELETED_PLACEHOLDER = 'This message was deleted';
+
+
+// Shape of a message as clients see it. Edit history is audit data and is
+// never sent to room members.
+const toMessagePayload = (chatMessage) => ({
+  _id: chatMessage._id,
+  roomId: chatMessage.roomId,
+  sender: chatMessage.sender,
+  message: chatMessage.message,
+  timestamp: chatMessage.timestamp,
+  seq: chatMessage.seq,
+  clientMessageId: chatMessage.clientMessageId,
+  attachments: chatMessage.attachments,
+  editedAt: chatMessage.editedAt,
+  deleted: chatMessage.deleted,
+});
+
+// What room members learn about a deleted message
+const toDeletedPayload = (chatMessage) => ({
+  _id: chatMessage._id,
+  roomId: chatMessage.roomId,
+  seq: chatMessage.seq,
+  deletedAt: chatMessage.deletedAt,
+});
+
+// Loads a message the user may still change, or throws a MessageError
+const findChangeableMessage = async ({ roomId, messageId, userId }) => {
+  const chatMessage = mongoose.isValidObjectId(messageId)
+    ? await ChatMessage.findOne({ _id: messageId, roomId })
+    : null;
+
+  if (!chatMessage) throw new MessageError('NOT_FOUND', 'Message not found', 404);
+  if (chatMessage.sender !== String(userId)) {
+    throw new MessageError('FORBIDDEN', 'Only the sender can change this message', 403);
+  }
+  if (chatMessage.deleted) throw new MessageError('MESSAGE_DELETED', 'Message has been deleted', 410);
+  if (Date.now() - chatMessage.timestamp.getTime() > chatConfig.editWindowMs) {
+    throw new MessageError('EDIT_WINDOW_EXPIRED', 'This message can no longer be changed', 403);
+  }
+  return chatMessage;
+};
+
+// Replaces a message's text, keeping the previous version in its edit history
+const editMessage = async ({ roomId, messageId, userId, message }) => {
+  if (typeof message !== 'string' || !message.trim()) {
+    throw new MessageError('INVALID_MESSAGE', 'Message text is required', 400);
+  }
+
+  const chatMessage = await findChangeableMessage({ roomId, messageId, userId });
+  const now = new Date();
+  chatMessage.editHistory.push({ message: chatMessage.message, editedAt: now });
+  chatMessage.message = message;
+  chatMessage.editedAt = now;
+  await chatMessage.save();
+  return chatMessage;
+};
+
+// Persists a new message from `sender`. Used by both the send_message socket
+// event and POST /api/chat/send so the two behave identically; callers check
+// room membership and broadcast. Resolves to { chatMessage, duplicate }, where
+// duplicate means a retry with the same clientMessageId returned the original.
+const createMessage = async ({ roomId, sender, message, clientMessageId, attachmentIds }) => {
+  const findOriginal = () =>
+    clientMessageId ? ChatMessage.findOne({ sender, clientMessageId }) : null;
+
+  // A retry is answered from the stored original; its attachments are already claimed
+  const original = await findOriginal();
+  if (original) return { chatMessage: original, duplicate: true };
+
+  const attachments = await resolveAttachments({ roomId, userId: sender, attachmentIds });
+  const chatMessage = new ChatMessage({
+    roomId,
+    sender,
+    message,
+    clientMessageId,
+    attachments: attachments.map(toAttachmentSummary),
+  });
+
+  // Claimed before saving, so a message never goes out with an attachment
+  // that a concurrent send took
+  try {
+    await claimAttachments(attachments, chatMessage._id);
+  } catch (error) {
+    // A concurrent retry of this message took them
+    const stored = error.code === 'INVALID_ATTACHMENT' ? await findOriginal() : null;
+    if (stored) return { chatMessage: stored, duplicate: true };
+    throw error;
+  }
+
+  try {
+    await chatMessage.save();
+  } catch (error) {
+    await releaseAttachments(attachments, chatMessage._id);
+    // Duplicate key: a concurrent retry stored the message first. The seq
+    // reserved for this attempt stays unused, see ChatMessage reserveSeq
+    if (error.code === 11000) {
+      const stored = await findOriginal();
+      if (stored) return { chatMessage: stored, duplicate: true };
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+      throw new MessageError('SAVE_FAILED', 'Failed to send message', 400);
+    }
+    throw error;
+  }
+
+  console.log(`Message saved: ${chatMessage._id} in room ${roomId}`);
+  return { chatMessage, duplicate: false };
+};
+
+// Replaces a message's content with a tombstone; the original stays in the edit history
+const deleteMessage = async ({ roomId, messageId, userId }) => {
+  const chatMessage = await findChangeableMessage({ roomId, messageId, userId });
+  const now = new Date();
+  chatMessage.editHistory.push({ message: chatMessage.message, editedAt: now });
+  chatMessage.message = DELETED_PLACEHOLDER;
+  chatMessage.attachments = []; // The Attachment documents still record what was shared
+  chatMessage.deleted = true;
+  chatMessage.deletedAt = now;
+  await chatMessage.save();
+  return chatMessage;
+};
+
+module.exports = {
+  MessageError,
+  DELETED_PLACEHOLDER,
+  toMessagePayload,
+  toDeletedPayload,
+  createMessage,
+  editMessage,
+  deleteMessage,
+};
@@ -0,0 +1,49 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const hashPassword = require('../utils/hashPassword');
+const authConfig = require('../config/auth');
+const mailConfig = require('../config/mail');
+const { sendMail } = require('./mailer');
+const { issueToken, consumeToken } = require('./userTokenService');
+const { unlockAccount } = require('./lockoutService');
+const { revokeAllForUser } = require('./tokenRevocationService');
+
+// Emails the user a link to choose a new password. Any earlier link stops working.
+const sendResetEmail = async (user) => {
+  const { tokenTtlSeconds } = authConfig.passwordReset;
+  const token = await issueToken(user._id, 'reset_password', tokenTtlSeconds);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Someone asked to reset the password for your account. To choose a new one, open:\n` +
+      `${mailConfig.appUrl}/reset-password?token=${token}\n\n` +
+      `The link expires in ${Math.round(tokenTtlSeconds / 60)} minutes and works once. ` +
+      `If you did not ask for this, you can ignore this email; your password has not changed.`,
+  });
+};
+
+// Sets a new password with a reset token. Every session is signed out, since
+// whoever held the old password may still have one. Returns the user, or null
+// for an unknown, expired or already used token.
+const resetPassword = async (token, password) => {
+  const stored = await consumeToken(token, 'reset_password');
+  if (!stored) return null;
+
+  const user = await User.findByIdAndUpdate(
+    stored.userId,
+    // Following the emailed link proves the address, too
+    { password: await hashPassword(password), emailVerified: true },
+    { new: true }
+  );
+  if (!user) return null;
+
+  await RefreshToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+  await revokeAllForUser(user._id);
+  await unlockAccount(user.email);
+  return user;
+};
+
+module.exports = { sendResetEmail, resetPassword };
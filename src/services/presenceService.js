@@ -0,0 +1,104 @@
+const ChatRoom = require('../models/ChatRoom');
+const Presence = require('../models/Presence');
+const User = require('../models/User');
+
+// Presence is derived from the sockets themselves: every socket joins its
+// user's personal room, and a user is online while that room has any socket
+// in it, on any server instance. When a user comes online or goes offline is
+// decided by atomic updates to their Presence document instead, since sockets
+// connecting at the same moment would each see the other in the room.
+
+const userRoom = (userId) => `user:${userId}`;
+
+// Keeps the socket IDs still in the user's room, removing the rest from their
+// Presence document. Those belonged to an instance that stopped without
+// recording the disconnect, or to a socket that is disconnecting right now.
+const pruneStale = async (io, userId, socketIds) => {
+  if (!socketIds.length) return [];
+  const live = new Set((await io.in(userRoom(userId)).fetchSockets()).map((socket) => socket.id));
+  const stale = socketIds.filter((id) => !live.has(id));
+  if (stale.length) await Presence.updateOne({ userId }, { $pull: { sockets: { $in: stale } } });
+  return socketIds.filter((id) => live.has(id));
+};
+
+// Records a connected socket, which must already be in the user's room.
+// Resolves to true if it brought the user online: no other live socket was
+// recorded before it. Of two sockets connecting together, only the first
+// recorded sees none.
+const addConnection = async (io, userId, socketId) => {
+  let previous;
+  try {
+    previous = await Presence.findOneAndUpdate(
+      { userId },
+      { $addToSet: { sockets: socketId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another socket created the document at the same moment; add to it
+    if (error.code !== 11000) throw error;
+    return addConnection(io, userId, socketId);
+  }
+
+  const others = (previous?.sockets || []).filter((id) => id !== socketId);
+  return (await pruneStale(io, userId, others)).length === 0;
+};
+
+// Forgets a disconnected socket. Resolves to true if it was the user's last.
+const removeConnection = async (io, userId, socketId) => {
+  const current = await Presence.findOneAndUpdate(
+    { userId },
+    { $pull: { sockets: socketId } },
+    { new: true }
+  );
+  return (await pruneStale(io, userId, current?.sockets || [])).length === 0;
+};
+
+// Resolves to the set of user IDs (of those given) with at least one connected socket
+const getOnlineUsers = async (io, userIds) => {
+  if (!userIds.length) return new Set();
+  const sockets = await io.in(userIds.map((id) => userRoom(String(id)))).fetchSockets();
+  return new Set(sockets.map((socket) => socket.data.userId));
+};
+
+// Tells every room the user belongs to that they came online or went offline
+const broadcastPresence = async (io, { userId, online, lastSeen }) => {
+  const rooms = await ChatRoom.find({ 'participants.userId': userId }).select('roomId');
+  if (!rooms.length) return;
+  io.to(rooms.map((room) => room.roomId)).emit('presence_changed', { userId, online, lastSeen });
+};
+
+// Records the moment the user was last connected
+const touchLastSeen = async (userId, lastSeen = new Date()) => {
+  await User.updateOne({ _id: userId }, { lastSeen });
+  return lastSeen;
+};
+
+// Presence of every participant of a room
+const getRoomPresence = async (io, roomId) => {
+  const room = await ChatRoom.findOne({ roomId });
+  if (!room) return [];
+
+  const userIds = room.participants.map((participant) => participant.userId.toString());
+  const [online, users] = await Promise.all([
+    getOnlineUsers(io, userIds),
+    User.find({ _id: { $in: userIds } }).select('lastSeen'),
+  ]);
+  const lastSeen = new Map(users.map((user) => [user.id, user.lastSeen || null]));
+
+  return room.participants.map(({ userId, role }) => ({
+    userId: userId.toString(),
+    role,
+    online: online.has(userId.toString()),
+    lastSeen: lastSeen.get(userId.toString()) || null,
+  }));
+};
+
+module.exports = {
+  userRoom,
+  addConnection,
+  removeConnection,
+  getOnlineUsers,
+  broadcastPresence,
+  touchLastSeen,
+  getRoomPresence,
+};
@@ -0,0 +1,72 @@
+const rateLimitConfig = require('../../config/rateLimit');
+
+// Every store implements:
+//   consume(key, rule, cost = 1) -> Promise<{ allowed, remaining, retryAfterMs }>
+// Refilling the bucket for `key` first, then spending `cost` tokens if there
+// are enough. A cost of 0 just reads the bucket.
+const stores = {
+  memory: () => require('./memoryStore')(),
+  mongo: () => require('./mongoStore')(),
+};
+
+let store;
+
+// Returns the configured store, creating it on first use
+const getStore = () => {
+  if (!store) {
+    const createStore = stores[rateLimitConfig.store];
+    if (!createStore) throw new Error(`Unknown rate limit store: ${rateLimitConfig.store}`);
+    store = createStore();
+  }
+  return store;
+};
+
+// Replaces the store, e.g. with a fresh one in tests
+const setStore = (replacement) => {
+  store = replacement;
+};
+
+// The rule for a route or event, with the role's overrides applied; null if unlimited
+const resolveRule = (name, role) => {
+  const rule = rateLimitConfig.enabled && rateLimitConfig.rules[name];
+  if (!rule) return null;
+  const { roles, ...limits } = rule;
+  return { ...limits, ...(roles && roles[role]) };
+};
+
+// Spends one token from `identity`'s bucket for the named rule. Resolves to
+// { allowed: true } when the rule does not exist or limiting is disabled.
+const consume = async (name, identity, role) => {
+  const rule = resolveRule(name, role);
+  if (!rule) return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+  return getStore().consume(`${name}:${identity}`, rule, 1);
+};
+
+// Repeat offenders: every rejected request spends a token from a violations
+// bucket; emptying it bans the identity for banSeconds via a one-token bucket.
+const { maxViolations, windowSeconds, banSeconds } = rateLimitConfig.offenders;
+const violationRule = { capacity: maxViolations, refillPerSecond: maxViolations / windowSeconds };
+const banRule = { capacity: 1, refillPerSecond: 1 / banSeconds };
+
+// Records a violation; resolves to true if the identity is now banned
+const recordViolation = async (identity) => {
+  const { allowed } = await getStore().consume(`violations:${identity}`, violationRule, 1);
+  if (allowed) return false;
+  await getStore().consume(`ban:${identity}`, banRule, 1);
+  return true;
+};
+
+const isBanned = async (identity) => {
+  if (!rateLimitConfig.enabled) return false;
+  const { remaining } = await getStore().consume(`ban:${identity}`, banRule, 0);
+  return remaining < 1;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  resolveRule,
+  consume,
+  recordViolation,
+  isBanned,
+};
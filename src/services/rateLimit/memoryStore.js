@@ -0,0 +1,39 @@
+// Keeps buckets in this process. Fine for a single instance; behind a load
+// balancer each instance would enforce its own, separate limit.
+const createMemoryStore = ({ maxKeys = 10000 } = {}) => {
+  const buckets = new Map(); // key -> { tokens, updatedAt, fullAt }
+
+  // Drops buckets that have refilled completely; they behave like new ones
+  const sweep = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.fullAt <= now) buckets.delete(key);
+    }
+  };
+
+  return {
+    async consume(key, rule, cost = 1) {
+      const now = Date.now();
+      if (buckets.size >= maxKeys) sweep(now);
+
+      const bucket = buckets.get(key) || { tokens: rule.capacity, updatedAt: now };
+      const elapsed = (now - bucket.updatedAt) / 1000;
+      const tokens = Math.min(rule.capacity, bucket.tokens + elapsed * rule.refillPerSecond);
+
+      const allowed = tokens >= cost;
+      const remaining = allowed ? tokens - cost : tokens;
+      buckets.set(key, {
+        tokens: remaining,
+        updatedAt: now,
+        fullAt: now + ((rule.capacity - remaining) / rule.refillPerSecond) * 1000,
+      });
+
+      return {
+        allowed,
+        remaining,
+        retryAfterMs: allowed ? 0 : Math.ceil(((cost - tokens) / rule.refillPerSecond) * 1000),
+      };
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,65 @@
+const RateLimitBucket = require('../../models/RateLimitBucket');
+
+// Keeps buckets in MongoDB so every instance enforces the same limit. Refill,
+// check and spend happen in one update pipeline, timed by the database clock
+// ($$NOW) so instances with skewed clocks agree.
+const createMongoStore = () => {
+  const consumeOnce = (key, rule, cost) => {
+    const { capacity, refillPerSecond } = rule;
+    const elapsedSeconds = {
+      $divide: [{ $subtract: ['$$NOW', { $ifNull: ['$updatedAt', '$$NOW'] }] }, 1000],
+    };
+
+    return RateLimitBucket.collection.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            tokens: {
+              $min: [
+                capacity,
+                {
+                  $add: [
+                    { $ifNull: ['$tokens', capacity] },
+                    { $multiply: [elapsedSeconds, refillPerSecond] },
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $set: { allowed: { $gte: ['$tokens', cost] } } },
+        {
+          $set: {
+            tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] },
+            updatedAt: '$$NOW',
+            expiresAt: { $add: ['$$NOW', Math.ceil((capacity / refillPerSecond) * 1000)] },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+  };
+
+  return {
+    async consume(key, rule, cost = 1) {
+      let bucket;
+      try {
+        bucket = await consumeOnce(key, rule, cost);
+      } catch (error) {
+        // Two instances created the same bucket at once; the retry updates it
+        if (error.code !== 11000) throw error;
+        bucket = await consumeOnce(key, rule, cost);
+      }
+
+      const { allowed, tokens } = bucket;
+      return {
+        allowed,
+        remaining: tokens,
+        retryAfterMs: allowed ? 0 : Math.ceil(((cost - tokens) / rule.refillPerSecond) * 1000),
+      };
+    },
+  };
+};
+
+module.exports = createMongoStore;
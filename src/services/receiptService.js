@@ -0,0 +1,91 @@
+const ChatMessage = require('../models/ChatMessage');
+const ChatRoom = require('../models/ChatRoom');
+const MessageError = require('./messageError');
+
+// Receipts are kept as two watermarks per participant instead of per-message
+// lists: a message is delivered to (or read by) a participant once its seq is
+// at or below their lastDeliveredSeq (lastReadSeq). Watermarks only move forward.
+
+const toReceipt = (roomId, participant) => ({
+  roomId,
+  userId: participant.userId.toString(),
+  lastDeliveredSeq: participant.lastDeliveredSeq || 0,
+  lastReadSeq: participant.lastReadSeq || 0,
+});
+
+// Advances the user's delivered watermark, and the read watermark when `read`
+// is set, to `seq`. Reading a message implies it was delivered.
+const advanceReceipt = async ({ roomId, userId, seq, read }) => {
+  if (!Number.isInteger(seq) || seq < 1) {
+    throw new MessageError('INVALID_SEQ', 'seq must be a positive integer', 400);
+  }
+
+  const watermarks = { 'participants.$.lastDeliveredSeq': seq };
+  if (read) watermarks['participants.$.lastReadSeq'] = seq;
+
+  const room = await ChatRoom.findOneAndUpdate(
+    { roomId, lastSeq: { $gte: seq }, 'participants.userId': userId },
+    { $max: watermarks },
+    { new: true }
+  );
+  if (!room) throw new MessageError('INVALID_SEQ', 'No message with that seq in this room', 400);
+
+  return toReceipt(roomId, room.participants.find((p) => p.userId.equals(userId)));
+};
+
+const lastReadSeqOf = (room, userId) => {
+  const participant = room.participants.find((p) => p.userId.equals(userId));
+  return (participant && participant.lastReadSeq) || 0;
+};
+
+const markDelivered = ({ roomId, userId, seq }) => advanceReceipt({ roomId, userId, seq, read: false });
+
+const markRead = ({ roomId, userId, seq }) => advanceReceipt({ roomId, userId, seq, read: true });
+
+// Every participant's watermarks for a room
+const getReceipts = async (roomId) => {
+  const room = await ChatRoom.findOne({ roomId });
+  return room ? room.participants.map((participant) => toReceipt(roomId, participant)) : [];
+};
+
+// Unread counts for the given rooms in a single aggregation, keyed by roomId.
+// The user's own messages and deleted messages never count as unread.
+const countUnread = async (userId, rooms) => {
+  if (!rooms.length) return new Map();
+
+  const counts = await ChatMessage.aggregate([
+    {
+      $match: {
+        $or: rooms.map((room) => ({
+          roomId: room.roomId,
+          seq: { $gt: lastReadSeqOf(room, userId) },
+        })),
+        sender: { $ne: String(userId) },
+        deleted: { $ne: true },
+      },
+    },
+    { $group: { _id: '$roomId', unread: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, unread }) => [_id, unread]));
+};
+
+// Unread messages per room the user participates in
+const getUnreadCounts = async (userId) => {
+  const rooms = await ChatRoom.find({ 'participants.userId': userId });
+  const unread = await countUnread(userId, rooms);
+
+  return rooms.map((room) => ({
+    roomId: room.roomId,
+    unread: unread.get(room.roomId) || 0,
+    lastReadSeq: lastReadSeqOf(room, userId),
+    lastSeq: room.lastSeq,
+  }));
+};
+
+module.exports = {
+  markDelivered,
+  markRead,
+  getReceipts,
+  countUnread,
+  getUnreadCounts,
+};
@@ -0,0 +1,29 @@
+const storageConfig = require('../../config/storage');
+
+// Every storage driver implements:
+//   save(key, buffer, contentType) -> Promise
+//   getStream(key)                 -> Promise<Readable>, rejects if missing
+//   remove(key)                    -> Promise
+const drivers = {
+  local: () => require('./localStorage')({ dir: storageConfig.localDir }),
+  s3: () => require('./s3Storage')(storageConfig.s3),
+};
+
+let storage;
+
+// Returns the configured storage driver, creating it on first use
+const getStorage = () => {
+  if (!storage) {
+    const createDriver = drivers[storageConfig.driver];
+    if (!createDriver) throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+    storage = createDriver();
+  }
+  return storage;
+};
+
+// Replaces the driver, e.g. with an in-memory one in tests
+const setStorage = (driver) => {
+  storage = driver;
+};
+
+module.exports = { getStorage, setStorage };
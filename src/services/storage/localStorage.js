@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores files under a directory on the local disk
+const createLocalStorage = ({ dir }) => {
+  const root = path.resolve(dir);
+  const resolve = (key) => path.join(root, key);
+
+  return {
+    async save(key, buffer) {
+      await fs.promises.mkdir(path.dirname(resolve(key)), { recursive: true });
+      await fs.promises.writeFile(resolve(key), buffer);
+    },
+
+    async getStream(key) {
+      await fs.promises.access(resolve(key));
+      return fs.createReadStream(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
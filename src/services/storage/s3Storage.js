@@ -0,0 +1,33 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+// Stores files in an S3 bucket. Setting `endpoint` targets S3-compatible
+// services such as MinIO, which need path-style addressing.
+const createS3Storage = ({ bucket, region, endpoint }) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+
+  return {
+    async save(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })
+      );
+    },
+
+    async getStream(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Storage;
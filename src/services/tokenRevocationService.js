@@ -0,0 +1,160 @@
+const RevokedToken = require('../models/RevokedToken');
+const RefreshToken = require('../models/RefreshToken');
+const jwtConfig = require('../config/jwt');
+const { userRoom } = require('./presenceService');
+
+// The denylist is mirrored in memory so every request and handshake can be
+// checked without a database round trip. Revocations made by this process
+// apply at once; those made by other instances arrive with the next sync,
+// and their sockets are disconnected through the Socket.IO adapter straight away.
+const revokedTokens = new Map(); // jti -> expiry (ms)
+const revokedSessions = new Map(); // sid -> expiry (ms)
+const revokedUsers = new Map(); // userId -> { revokedBefore, expiresAt } (ms)
+
+// Entries are read again for this long after a sync, in case the clocks of
+// the instances that wrote them run behind ours
+const SYNC_OVERLAP_MS = 30 * 1000;
+let lastSyncAt = null;
+let syncTimer;
+
+const remember = (entry) => {
+  const expiresAt = entry.expiresAt.getTime();
+  if (entry.key.startsWith('jti:')) {
+    revokedTokens.set(entry.key.slice('jti:'.length), expiresAt);
+    return;
+  }
+  if (entry.key.startsWith('sid:')) {
+    revokedSessions.set(entry.key.slice('sid:'.length), expiresAt);
+    return;
+  }
+
+  const userId = String(entry.userId);
+  const revokedBefore = entry.revokedBefore.getTime();
+  const known = revokedUsers.get(userId);
+  if (!known || known.revokedBefore < revokedBefore) revokedUsers.set(userId, { revokedBefore, expiresAt });
+};
+
+const forgetExpired = () => {
+  const now = Date.now();
+  revokedTokens.forEach((expiresAt, jti) => expiresAt <= now && revokedTokens.delete(jti));
+  revokedSessions.forEach((expiresAt, sid) => expiresAt <= now && revokedSessions.delete(sid));
+  revokedUsers.forEach(({ expiresAt }, userId) => expiresAt <= now && revokedUsers.delete(userId));
+};
+
+// Copies new entries from MongoDB into memory
+const sync = async () => {
+  const startedAt = Date.now();
+  const query = lastSyncAt
+    ? { revokedAt: { $gte: new Date(lastSyncAt - SYNC_OVERLAP_MS) } }
+    : { expiresAt: { $gt: new Date() } };
+  const entries = await RevokedToken.find(query).lean();
+
+  entries.forEach(remember);
+  forgetExpired();
+  lastSyncAt = startedAt;
+};
+
+// Loads the denylist, then keeps it up to date every `revocationSyncInterval`
+const startSync = async () => {
+  await sync();
+  clearInterval(syncTimer);
+  syncTimer = setInterval(() => {
+    sync().catch((error) => console.error('Failed to sync revoked tokens:', error.message));
+  }, jwtConfig.revocationSyncInterval);
+  syncTimer.unref();
+};
+
+// Whether verified access token claims have been revoked. Tokens without a
+// jti (issued before revocation existed) can still be revoked per user.
+const isRevoked = ({ jti, sid, id, iat }) => {
+  const now = Date.now();
+  if (jti && revokedTokens.get(jti) > now) return true;
+  if (sid && revokedSessions.get(sid) > now) return true;
+
+  const user = revokedUsers.get(String(id));
+  if (!user || user.expiresAt <= now) return false;
+  // `iat` only has whole seconds and revokedBefore is stored floored to match,
+  // so a token issued in the same second as the revocation (such as the one
+  // handed out by the login that follows a password reset) is accepted
+  return !(iat * 1000 >= user.revokedBefore);
+};
+
+// Revokes one access token until it expires
+const revokeToken = async ({ jti, id, exp }) => {
+  if (!jti) return;
+  const entry = {
+    key: `jti:${jti}`,
+    userId: id,
+    revokedAt: new Date(),
+    expiresAt: new Date(exp * 1000),
+  };
+  await RevokedToken.updateOne({ key: entry.key }, entry, { upsert: true });
+  remember(entry);
+};
+
+// Revokes every access token of one session (`sid`, a refresh token family).
+// Its refresh tokens are revoked too, so no newer access token can follow.
+const revokeSessionTokens = async ({ userId, sid }) => {
+  const now = new Date();
+  const entry = {
+    key: `sid:${sid}`,
+    userId,
+    revokedAt: now,
+    expiresAt: new Date(now.getTime() + jwtConfig.accessTokenExpiry * 1000),
+  };
+  await RevokedToken.updateOne({ key: entry.key }, entry, { upsert: true });
+  remember(entry);
+};
+
+// Revokes every access token issued to the user so far. The entry is only
+// needed until the newest of those tokens has expired.
+const revokeAllForUser = async (userId) => {
+  const now = new Date();
+  const entry = {
+    key: `user:${userId}`,
+    userId,
+    revokedBefore: new Date(Math.floor(now.getTime() / 1000) * 1000), // Whole seconds, like `iat`
+    revokedAt: now,
+    expiresAt: new Date(now.getTime() + jwtConfig.accessTokenExpiry * 1000),
+  };
+  await RevokedToken.updateOne({ key: entry.key }, entry, { upsert: true });
+  remember(entry);
+};
+
+// Disconnects sockets, on every instance, authenticated with revoked tokens:
+// all of the user's sockets, or only those using the given jti or session
+const disconnectRevoked = async (io, { userId, jti, sid }) => {
+  if (!io) return;
+  if (!jti && !sid) {
+    io.in(userRoom(String(userId))).disconnectSockets(true);
+    return;
+  }
+  const sockets = await io.in(userRoom(String(userId))).fetchSockets();
+  sockets
+    .filter((socket) => (jti && socket.data.jti === jti) || (sid && socket.data.sid === sid))
+    .forEach((socket) => socket.disconnect(true));
+};
+
+// Signs the user out everywhere: refresh tokens stop working, access tokens
+// are refused and connected sockets are dropped. Returns the number of
+// sessions that were still open.
+const revokeAllSessions = async (io, userId) => {
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await revokeAllForUser(userId);
+  await disconnectRevoked(io, { userId });
+  return modifiedCount;
+};
+
+module.exports = {
+  sync,
+  startSync,
+  isRevoked,
+  revokeToken,
+  revokeSessionTokens,
+  revokeAllForUser,
+  revokeAllSessions,
+  disconnectRevoked,
+};
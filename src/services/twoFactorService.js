@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+const hashPassword = require('../utils/hashPassword');
+const { base32Encode, generateSecret, verifyTotp, provisioningUri } = require('../utils/totp');
+
+const RECOVERY_CODE_LENGTH = 10;
+
+const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+// Codes look like `K7QXM-2D4RA`: 10 random base32 characters (50 bits). The
+// hyphen, spaces and case are ignored when checking. Only bcrypt hashes are
+// stored, like passwords.
+const createRecoveryCodes = async () => {
+  const codes = Array.from({ length: authConfig.twoFactor.recoveryCodeCount }, () =>
+    base32Encode(crypto.randomBytes(7))
+      .slice(0, RECOVERY_CODE_LENGTH)
+      .replace(/^(.{5})/, '$1-')
+  );
+  const hashes = await Promise.all(codes.map((code) => hashPassword(normalizeRecoveryCode(code))));
+  return { codes, hashes };
+};
+
+// Returns the stored hash `code` matches, or null
+const findRecoveryCode = async (userId, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== RECOVERY_CODE_LENGTH) return null;
+
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  if (!user?.twoFactor?.enabled) return null;
+
+  for (const hash of user.twoFactor.recoveryCodes || []) {
+    if (await bcrypt.compare(normalized, hash)) return hash;
+  }
+  return null;
+};
+
+const isRequiredFor = (role) => authConfig.twoFactor.requiredRoles.includes(role);
+
+// Challenge tokens stand in for the access/refresh pair between the password
+// and the second factor. `purpose` is 'login' once two-factor is set up, or
+// 'enroll' when the user's role requires it but it is not set up yet.
+const createChallenge = (user, purpose) =>
+  jwt.sign({ id: user._id, role: user.role, purpose }, jwtConfig.challengeTokenSecret, {
+    expiresIn: jwtConfig.challengeTokenExpiry,
+  });
+
+// Returns the challenge's claims, or null if it is invalid, expired or for another purpose
+const readChallenge = (token, purpose) => {
+  if (typeof token !== 'string') return null;
+  try {
+    const challenge = jwt.verify(token, jwtConfig.challengeTokenSecret);
+    return challenge.purpose === purpose ? challenge : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generates a secret for the user to add to their authenticator app. It only
+// takes effect once confirmed with a code from the app.
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+  const otpauthUrl = provisioningUri({ secret, account: user.email, issuer: authConfig.twoFactor.issuer });
+  return { secret, otpauthUrl };
+};
+
+// Turns two-factor on if `code` matches the pending secret. Returns the
+// recovery codes, which are shown once, or null if the code is wrong.
+const completeEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code, { window: authConfig.twoFactor.window });
+  if (step === null) return null;
+
+  const { codes, hashes } = await createRecoveryCodes();
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.pendingSecret': pendingSecret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+  return modifiedCount ? codes : null;
+};
+
+// Checks a code from the authenticator app, or a recovery code, which is used
+// up. An app code is refused if it or a later one was already accepted.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (typeof recoveryCode === 'string' && recoveryCode) {
+    const hash = await findRecoveryCode(userId, recoveryCode);
+    if (!hash) return false;
+
+    // Only one of two concurrent requests with the same code can pull it
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return modifiedCount > 0;
+  }
+
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user?.twoFactor?.enabled) return false;
+
+  const step = verifyTotp(user.twoFactor.secret, code, { window: authConfig.twoFactor.window });
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return modifiedCount > 0;
+};
+
+// Replaces every recovery code, returning the new ones
+const regenerateRecoveryCodes = async (userId) => {
+  const { codes, hashes } = await createRecoveryCodes();
+  await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': hashes });
+  return codes;
+};
+
+const disable = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': 0 },
+      $unset: { 'twoFactor.secret': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.recoveryCodes': 1 },
+    }
+  );
+
+module.exports = {
+  isRequiredFor,
+  createChallenge,
+  readChallenge,
+  startEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates a token for the user, replacing any earlier one with the same
+// purpose so only the latest email works. Returns the raw token to send.
+const issueToken = async (userId, purpose, ttlSeconds) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.deleteMany({ userId, purpose });
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  });
+  return token;
+};
+
+// Redeems a token, deleting it so it works only once. Returns the stored
+// token (with its userId), or null if it is unknown, expired or used.
+const consumeToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return null;
+  return UserToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const socketConfig = require('../config/socket');
+
+// Builds the Socket.IO adapter that lets several server processes share rooms.
+// Resolves to null for the default in-memory adapter. The Mongo adapter reuses
+// Mongoose's connection, so call this once mongoose.connect() has resolved.
+// It relies on change streams, which need MongoDB to run as a replica set.
+const adapters = {
+  memory: async () => null,
+
+  mongo: async () => {
+    const { createAdapter } = require('@socket.io/mongo-adapter');
+    const { collection, collectionSize } = socketConfig.mongo;
+    const db = mongoose.connection.db;
+
+    try {
+      await db.createCollection(collection, { capped: true, size: collectionSize });
+    } catch (error) {
+      if (error.codeName !== 'NamespaceExists') throw error; // Another instance made it first
+    }
+    return createAdapter(db.collection(collection));
+  },
+
+  redis: async () => {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const { createClient } = require('redis');
+
+    const pubClient = createClient({ url: socketConfig.redis.url });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', (error) => console.error('Redis adapter error:', error.message));
+    subClient.on('error', (error) => console.error('Redis adapter error:', error.message));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  },
+};
+
+const createSocketAdapter = async (name = socketConfig.adapter) => {
+  const create = adapters[name];
+  if (!create) throw new Error(`Unknown Socket.IO adapter: ${name}`);
+  return create();
+};
+
+module.exports = createSocketAdapter;
@@ -0,0 +1,54 @@
+const jwtConfig = require('../config/jwt');
+const { verifyAccessToken } = require('../utils/generateToken');
+const { isRevoked } = require('../services/tokenRevocationService');
+const { validated } = require('./validation');
+
+// Keeps a connected socket's access token current. Registered on `connection`
+// rather than in the handshake, so sockets refused by a later middleware never
+// arm timers: Socket.IO does not emit `disconnect` for them.
+const registerAuthHandlers = (io, socket) => {
+  let expiryTimer;
+  let reauthTimer;
+
+  // When the access token expires, ask the client for a fresh one and
+  // disconnect if it does not arrive within the grace period
+  const scheduleExpiry = () => {
+    clearTimeout(expiryTimer);
+    clearTimeout(reauthTimer);
+    if (!socket.user.exp) return;
+
+    expiryTimer = setTimeout(() => {
+      socket.emit('reauth_required', { timeout: jwtConfig.socketReauthTimeout });
+      reauthTimer = setTimeout(() => socket.disconnect(true), jwtConfig.socketReauthTimeout);
+    }, Math.max(socket.user.exp * 1000 - Date.now(), 0));
+  };
+
+  const reauthenticate = ({ token: freshToken }, ack) => {
+    try {
+      const decoded = verifyAccessToken(freshToken);
+      if (decoded.id !== socket.user.id) throw new Error('Token belongs to another user');
+      if (isRevoked(decoded)) throw new Error('Token revoked');
+
+      socket.user = decoded;
+      socket.data.jti = decoded.jti;
+      socket.data.sid = decoded.sid;
+      scheduleExpiry();
+      if (typeof ack === 'function') ack({ ok: true });
+    } catch (error) {
+      if (typeof ack === 'function') {
+        ack({ ok: false, error: { code: 'INVALID_TOKEN', message: 'Invalid token' } });
+      }
+      socket.disconnect(true);
+    }
+  };
+  socket.on('reauthenticate', validated(socket, 'reauthenticate', reauthenticate));
+
+  socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    clearTimeout(reauthTimer);
+  });
+
+  scheduleExpiry();
+};
+
+module.exports = registerAuthHandlers;
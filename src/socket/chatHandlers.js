@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const User = require('../models/User');
+const chatConfig = require('../config/chat');
+const createTypingTracker = require('./typingTracker');
+const { validated } = require('./validation');
+const { limited } = require('./rateLimit');
+const checkRoomAccess = require('../utils/roomAccess');
+const { seqQuery } = require('../utils/cursor');
+const {
+  MessageError,
+  toMessagePayload,
+  toDeletedPayload,
+  createMessage,
+  editMessage,
+  deleteMessage,
+} = require('../services/messageService');
+const { markDelivered, markRead } = require('../services/receiptService');
+
+// Upper bound on messages replayed on rejoin; beyond this the client should
+// page through GET /api/chat/:roomId instead
+const MAX_REPLAY = 500;
+
+// Resolves the client's last-seen marker to the seq of the last message it
+// has. A seq wins over a message ID, which wins over a timestamp; returns
+// null if none is usable.
+const resolveLastSeen = async (roomId, { lastSeenSeq, lastSeenMessageId, lastSeenTimestamp }) => {
+  if (lastSeenSeq !== undefined) return lastSeenSeq;
+  if (lastSeenMessageId && mongoose.isValidObjectId(lastSeenMessageId)) {
+    const message = await ChatMessage.findOne({ _id: lastSeenMessageId, roomId }).select('seq');
+    if (message && message.seq != null) return message.seq;
+  }
+  if (lastSeenTimestamp) {
+    const timestamp = new Date(lastSeenTimestamp);
+    if (!Number.isNaN(timestamp.getTime())) {
+      // The newest message saved by then; 0 if the client has seen none
+      const message = await ChatMessage.findOne({ roomId, timestamp: { $lte: timestamp } })
+        .sort({ timestamp: -1, _id: -1 })
+        .select('seq');
+      return message && message.seq != null ? message.seq : 0;
+    }
+  }
+  return null;
+};
+
+// Sends everything newer than the client's last-seen marker, oldest first,
+// then a room_synced marker so the client knows its transcript is current.
+// room_synced is sent on every join, with nothing replayed if there is no marker.
+const replayMissedMessages = async (socket, roomId, lastSeen) => {
+  const lastSeq = await resolveLastSeen(roomId, lastSeen);
+  const missed =
+    lastSeq !== null
+      ? await ChatMessage.find(seqQuery(roomId, { $gt: lastSeq }))
+          .sort({ seq: 1 })
+          .limit(MAX_REPLAY + 1)
+      : [];
+  const truncated = missed.length > MAX_REPLAY;
+
+  for (const chatMessage of missed.slice(0, MAX_REPLAY)) {
+    socket.emit('receive_message', toMessagePayload(chatMessage));
+  }
+  socket.emit('room_synced', { roomId, replayed: Math.min(missed.length, MAX_REPLAY), truncated });
+};
+
+// Registers the chat event handlers for one authenticated socket
+const registerChatHandlers = (io, socket) => {
+  console.log(`User connected: ${socket.id} (user ${socket.user.id})`);
+
+  // Reports a failure through the event's ack when the client sent one,
+  // otherwise as an `error` event
+  const fail = (ack, event, code, message, details = {}) => {
+    if (typeof ack === 'function') return ack({ ok: false, error: { code, message, ...details } });
+    socket.emit('error', { event, code, message, ...details });
+  };
+
+  // Only sockets that passed the membership check in join_room are in the room
+  const ensureJoined = (event, roomId, ack) => {
+    if (socket.rooms.has(roomId)) return true;
+    fail(ack, event, 'FORBIDDEN', 'Join the room before using it', { roomId });
+    return false;
+  };
+
+  // Every handler is rate limited and receives payloads already checked against ./schemas
+  const on = (event, handler) =>
+    socket.on(event, limited(socket, event, validated(socket, event, handler)));
+
+  // Join a chat room, optionally replaying what was missed since lastSeenSeq/lastSeenMessageId/lastSeenTimestamp
+  on('join_room', async ({ roomId, lastSeenSeq, lastSeenMessageId, lastSeenTimestamp }) => {
+    try {
+      const granted = await checkRoomAccess({
+        roomId,
+        userId: socket.user.id,
+        action: 'join_room',
+        ip: socket.handshake.address,
+      });
+      if (!granted) {
+        fail(null, 'join_room', 'FORBIDDEN', 'Forbidden: you are not a participant in this room', {
+          roomId,
+        });
+        return;
+      }
+
+      socket.join(roomId);
+      console.log(`User ${socket.id} joined room: ${roomId}`);
+
+      await replayMissedMessages(socket, roomId, { lastSeenSeq, lastSeenMessageId, lastSeenTimestamp });
+    } catch (error) {
+      console.error('Error joining room:', error);
+    }
+  });
+
+  // Handle sending a message. The ack receives the persisted _id and server
+  // timestamp; retries with the same clientMessageId resolve to the original.
+  on('send_message', async (data, ack) => {
+    const { roomId, message, clientMessageId, attachments: attachmentIds } = data;
+    const sender = socket.user.id; // Never trust a client-supplied sender
+    if (!ensureJoined('send_message', roomId, ack)) return;
+
+    const acknowledge = (chatMessage, duplicate) => {
+      if (typeof ack !== 'function') return;
+      ack({
+        ok: true,
+        _id: chatMessage._id,
+        clientMessageId: chatMessage.clientMessageId,
+        timestamp: chatMessage.timestamp,
+        seq: chatMessage.seq,
+        duplicate,
+      });
+    };
+
+    try {
+      const { chatMessage, duplicate } = await createMessage({
+        roomId,
+        sender,
+        message,
+        clientMessageId,
+        attachmentIds,
+      });
+
+      // Broadcast the message to the room
+      if (!duplicate) io.to(roomId).emit('receive_message', toMessagePayload(chatMessage));
+      acknowledge(chatMessage, duplicate);
+    } catch (error) {
+      if (error instanceof MessageError) {
+        return fail(ack, 'send_message', error.code, error.message, { clientMessageId });
+      }
+      console.error('Error saving message:', error);
+      fail(ack, 'send_message', 'SAVE_FAILED', 'Failed to send message', { clientMessageId });
+    }
+  });
+
+  // Edit and delete are limited to the sender, within the configured window
+  const changeMessage = (event, change, broadcastEvent, toBroadcast) => async (data, ack) => {
+    const { roomId, messageId, message } = data;
+    if (!ensureJoined(event, roomId, ack)) return;
+
+    try {
+      const chatMessage = await change({ roomId, messageId, message, userId: socket.user.id });
+      io.to(roomId).emit(broadcastEvent, toBroadcast(chatMessage));
+      if (typeof ack === 'function') ack({ ok: true, ...toBroadcast(chatMessage) });
+    } catch (error) {
+      if (error instanceof MessageError) return fail(ack, event, error.code, error.message, { messageId });
+      console.error(`Error handling ${event}:`, error);
+      fail(ack, event, 'SERVER_ERROR', 'Failed to update message', { messageId });
+    }
+  };
+
+  on(
+    'edit_message',
+    changeMessage('edit_message', editMessage, 'message_updated', toMessagePayload)
+  );
+
+  on(
+    'delete_message',
+    changeMessage('delete_message', deleteMessage, 'message_deleted', toDeletedPayload)
+  );
+
+  // Name shown next to typing indicators, looked up on first use. A failed
+  // lookup is retried on the next typing event; the ID is sent meanwhile.
+  let displayName = null;
+  let displayNameLookup = null;
+  const resolveDisplayName = () => {
+    displayNameLookup =
+      displayNameLookup ||
+      User.findById(socket.user.id)
+        .select('firstName lastName')
+        .then((user) => {
+          displayName = user ? `${user.firstName} ${user.lastName}` : null;
+        })
+        .catch(() => {
+          displayNameLookup = null;
+        });
+    return displayNameLookup;
+  };
+
+  // Typing indicators are throttled and expire; see typingTracker
+  const typing = createTypingTracker({
+    broadcast: (roomId, isTyping) =>
+      // Everyone in the room except the typist
+      socket.to(roomId).emit('typing', {
+        roomId,
+        user: socket.user.id,
+        name: displayName,
+        isTyping,
+      }),
+    throttleMs: chatConfig.typingThrottleMs,
+    timeoutMs: chatConfig.typingTimeoutMs,
+  });
+
+  // Handle user disconnect
+  socket.on('disconnect', () => {
+    typing.stopAll();
+    console.log(`User disconnected: ${socket.id}`);
+  });
+
+  on('typing', async ({ roomId, isTyping }) => {
+    if (!ensureJoined('typing', roomId)) return;
+
+    await resolveDisplayName();
+    if (socket.disconnected) return; // stopAll already ran
+    typing.update(roomId, isTyping);
+  });
+
+  // Receipts: mark everything up to `seq` as delivered to / read by this user.
+  // The room sees the user's new watermarks in receipt_updated.
+  const updateReceipt = (event, mark) => async (data, ack) => {
+    const { roomId, seq } = data;
+    if (!ensureJoined(event, roomId, ack)) return;
+
+    try {
+      const receipt = await mark({ roomId, userId: socket.user.id, seq });
+      io.to(roomId).emit('receipt_updated', receipt);
+      if (typeof ack === 'function') ack({ ok: true, ...receipt });
+    } catch (error) {
+      if (error instanceof MessageError) return fail(ack, event, error.code, error.message, { roomId });
+      console.error(`Error handling ${event}:`, error);
+      fail(ack, event, 'SERVER_ERROR', 'Failed to update receipt', { roomId });
+    }
+  };
+
+  on('mark_delivered', updateReceipt('mark_delivered', markDelivered));
+  on('mark_read', updateReceipt('mark_read', markRead));
+
+  // Older clients mark single messages as read by ID; treat it as "read up to" that message
+  on('read_message', async ({ messageId, roomId }, ack) => {
+    if (!ensureJoined('read_message', roomId, ack)) return;
+
+    const findMessage = () =>
+      mongoose.isValidObjectId(messageId)
+        ? ChatMessage.findOne({ _id: messageId, roomId }).select('seq').catch(() => null)
+        : null;
+    let chatMessage = await findMessage();
+    // Saved by an older server since the startup backfill; number it now
+    if (chatMessage && chatMessage.seq == null) {
+      await ChatMessage.backfillSeqs(roomId).catch(() => null);
+      chatMessage = await findMessage();
+    }
+    if (!chatMessage || chatMessage.seq == null) {
+      return fail(ack, 'read_message', 'NOT_FOUND', 'Message not found', { messageId });
+    }
+    updateReceipt('read_message', markRead)({ roomId, seq: chatMessage.seq }, ack);
+  });
+};
+
+module.exports = registerChatHandlers;
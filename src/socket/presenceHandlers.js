@@ -0,0 +1,36 @@
+const {
+  userRoom,
+  addConnection,
+  removeConnection,
+  broadcastPresence,
+  touchLastSeen,
+} = require('../services/presenceService');
+
+// Tracks one authenticated socket's contribution to its user's presence.
+// presence_changed is only sent when the user's first socket connects or
+// their last one disconnects, so extra tabs and devices stay silent.
+const registerPresenceHandlers = async (io, socket) => {
+  const userId = socket.user.id;
+  socket.data.userId = userId; // Visible to fetchSockets() on every instance
+  socket.join(userRoom(userId));
+
+  socket.on('disconnect', async () => {
+    try {
+      if (!(await removeConnection(io, userId, socket.id))) return;
+      const lastSeen = await touchLastSeen(userId);
+      await broadcastPresence(io, { userId, online: false, lastSeen });
+    } catch (error) {
+      console.error('Failed to update presence on disconnect:', error);
+    }
+  });
+
+  try {
+    const cameOnline = await addConnection(io, userId, socket.id);
+    const lastSeen = await touchLastSeen(userId);
+    if (cameOnline) await broadcastPresence(io, { userId, online: true, lastSeen });
+  } catch (error) {
+    console.error('Failed to update presence on connect:', error);
+  }
+};
+
+module.exports = registerPresenceHandlers;
@@ -0,0 +1,55 @@
+const rateLimitConfig = require('../config/rateLimit');
+const { resolveRule, consume, recordViolation, isBanned } = require('../services/rateLimit');
+
+// Wraps a socket event handler with the event's rule from config/rateLimit,
+// limited per user. Over the limit, the client gets a `rate_limited` event
+// (and an error through the ack, if any); repeat offenders are disconnected.
+// Events whose rule is marked `drop` only get the ack.
+// If the store is unreachable events are let through rather than dropped.
+const limited = (socket, event, handler) => async (...args) => {
+  const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+  const { id: userId, role } = socket.user;
+
+  let result;
+  try {
+    result = await consume(event, userId, role);
+  } catch (error) {
+    console.error(`Rate limiter unavailable for ${event}:`, error.message);
+    return handler(...args);
+  }
+  if (result.allowed) return handler(...args);
+
+  const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+  const { drop } = resolveRule(event, role);
+  if (!drop) socket.emit('rate_limited', { event, retryAfter });
+  if (ack) {
+    ack({ ok: false, error: { code: 'RATE_LIMITED', message: 'Too many requests', retryAfter } });
+  }
+  if (drop) return;
+
+  try {
+    if (await recordViolation(userId)) {
+      console.warn(`Disconnecting ${userId} for repeatedly exceeding rate limits`);
+      socket.disconnect(true);
+    }
+  } catch (error) {
+    console.error('Failed to record rate limit violation:', error.message);
+  }
+};
+
+// Handshake middleware, after socketAuthMiddleware: refuses users who were
+// recently disconnected for flooding
+const rejectBannedSockets = async (socket, next) => {
+  try {
+    if (await isBanned(socket.user.id)) {
+      const error = new Error('Rate limited');
+      error.data = { code: 'RATE_LIMITED', retryAfter: rateLimitConfig.offenders.banSeconds };
+      return next(error);
+    }
+  } catch (error) {
+    console.error('Rate limiter unavailable during handshake:', error.message);
+  }
+  next();
+};
+
+module.exports = { limited, rejectBannedSockets };
@@ -0,0 +1,70 @@
+// JSON Schemas for the payload of every client -> server socket event.
+// Plain data with no server dependencies, so the client SDK and tests can
+// import them to validate before emitting. Unknown properties are ignored.
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_ATTACHMENTS = 10;
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+const roomId = { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' };
+const messageText = { type: 'string', minLength: 1, maxLength: MAX_MESSAGE_LENGTH, pattern: '\\S' };
+const seq = { type: 'integer', minimum: 1 };
+
+const payload = (properties, required, extra = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  ...extra,
+});
+
+const schemas = {
+  join_room: payload(
+    {
+      roomId,
+      lastSeenSeq: { type: 'integer', minimum: 0 },
+      lastSeenMessageId: objectId,
+      lastSeenTimestamp: {
+        anyOf: [{ type: 'string', maxLength: 40 }, { type: 'integer', minimum: 0 }],
+      },
+    },
+    ['roomId']
+  ),
+
+  // Text may be left out when the message carries attachments
+  send_message: payload(
+    {
+      roomId,
+      message: messageText,
+      clientMessageId: { type: 'string', minLength: 1, maxLength: 128 },
+      attachments: { type: 'array', items: objectId, maxItems: MAX_ATTACHMENTS },
+    },
+    ['roomId'],
+    {
+      if: {
+        properties: { attachments: { type: 'array', minItems: 1 } },
+        required: ['attachments'],
+      },
+      else: { required: ['message'] },
+    }
+  ),
+
+  edit_message: payload({ roomId, messageId: objectId, message: messageText }, [
+    'roomId',
+    'messageId',
+    'message',
+  ]),
+
+  delete_message: payload({ roomId, messageId: objectId }, ['roomId', 'messageId']),
+
+  typing: payload({ roomId, isTyping: { type: 'boolean' } }, ['roomId', 'isTyping']),
+
+  mark_delivered: payload({ roomId, seq }, ['roomId', 'seq']),
+
+  mark_read: payload({ roomId, seq }, ['roomId', 'seq']),
+
+  read_message: payload({ roomId, messageId: objectId }, ['roomId', 'messageId']),
+
+  reauthenticate: payload({ token: { type: 'string', minLength: 1 } }, ['token']),
+};
+
+module.exports = { schemas, MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS };
@@ -0,0 +1,64 @@
+// Typing state for one socket across the rooms it types in.
+//
+// `update` records what the client says; `broadcast(roomId, isTyping)` is only
+// called when the state other members see actually changes, at most once per
+// `throttleMs` per room (a change arriving sooner is sent when the interval
+// ends, and only if still different). A room with no `typing: true` for
+// `timeoutMs` is switched off automatically, and `stopAll` switches every room
+// off at once, e.g. on disconnect. Timers only, so fake timers drive it in tests.
+const createTypingTracker = ({ broadcast, throttleMs, timeoutMs }) => {
+  // roomId -> { wanted, shown, lastSentAt, pending, expiry }. Entries live until
+  // stopAll; a socket can only type in rooms it has joined, so this stays small.
+  const rooms = new Map();
+
+  const send = (roomId, state) => {
+    state.shown = state.wanted;
+    state.lastSentAt = Date.now();
+    broadcast(roomId, state.shown);
+  };
+
+  const flush = (roomId, state) => {
+    if (state.pending || state.wanted === state.shown) return;
+
+    const wait = state.lastSentAt + throttleMs - Date.now();
+    if (wait <= 0) return send(roomId, state);
+
+    state.pending = setTimeout(() => {
+      state.pending = null;
+      if (state.wanted !== state.shown) send(roomId, state);
+    }, wait);
+  };
+
+  const update = (roomId, isTyping) => {
+    let state = rooms.get(roomId);
+    if (!state) {
+      state = { wanted: false, shown: false, lastSentAt: -Infinity, pending: null, expiry: null };
+      rooms.set(roomId, state);
+    }
+
+    clearTimeout(state.expiry);
+    state.expiry = null;
+    state.wanted = Boolean(isTyping);
+    if (state.wanted) {
+      state.expiry = setTimeout(() => {
+        state.expiry = null;
+        update(roomId, false);
+      }, timeoutMs);
+    }
+    flush(roomId, state);
+  };
+
+  // Clears every indicator immediately, ignoring the throttle
+  const stopAll = () => {
+    for (const [roomId, state] of rooms) {
+      clearTimeout(state.pending);
+      clearTimeout(state.expiry);
+      if (state.shown) broadcast(roomId, false);
+    }
+    rooms.clear();
+  };
+
+  return { update, stopAll };
+};
+
+module.exports = createTypingTracker;
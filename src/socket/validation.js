@@ -0,0 +1,46 @@
+const Ajv = require('ajv');
+const { schemas } = require('./schemas');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(
+  Object.entries(schemas).map(([event, schema]) => [event, ajv.compile(schema)])
+);
+
+// Turns Ajv errors into { field, rule, message } entries clients can act on
+const toFieldErrors = (errors) =>
+  errors
+    .filter((error) => error.keyword !== 'if') // Only says "must match else"
+    .map((error) => {
+      const path = error.instancePath.slice(1).replace(/\//g, '.');
+      const field = error.params.missingProperty
+        ? [path, error.params.missingProperty].filter(Boolean).join('.')
+        : path;
+      return { field, rule: error.keyword, message: error.message };
+    });
+
+// Returns null if the payload matches the event's schema, otherwise the list
+// of problems. Events without a schema accept anything.
+const validatePayload = (event, data) => {
+  const validate = validators[event];
+  if (!validate || validate(data)) return null;
+  return toFieldErrors(validate.errors);
+};
+
+// Wraps a socket event handler so it only runs for valid payloads. Invalid
+// ones are rejected with code INVALID_PAYLOAD through the ack, or an `error`
+// event when the client sent no ack.
+const validated = (socket, event, handler) => (data, ack) => {
+  if (typeof data === 'function' && ack === undefined) {
+    ack = data; // Emitted with an ack but no payload
+    data = undefined;
+  }
+
+  const errors = validatePayload(event, data);
+  if (!errors) return handler(data, ack);
+
+  const error = { code: 'INVALID_PAYLOAD', message: `Invalid ${event} payload`, errors };
+  if (typeof ack === 'function') return ack({ ok: false, error });
+  socket.emit('error', { event, ...error });
+};
+
+module.exports = { validatePayload, validated };
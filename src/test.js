@@ -1,19 +1,18 @@
-const { io } = require('socket.io-client');
-
-const socket = io('http://localhost:5000'); // Connect to the server
-
-socket.on('connect', () => {
-    console.log(`Connected with ID: ${socket.id}`);
-    socket.emit('join_room', 'room1');
-    
-    // Simulate sending a message
-    socket.emit('send_message', {
-        room: 'room1',
-        sender: 'TestUser',
-        message: 'Hello, Room!',
-    });
-});
-
-socket.on('receive_message', (data) => {
-    console.log(`Message received: ${data.message} from ${data.sender}`);
-});
+const { io } = require('socket.io-client');
+
+const socket = io('http://localhost:5000', { auth: { token: process.env.ACCESS_TOKEN } }); // Connect to the server
+
+socket.on('connect', () => {
+    console.log(`Connected with ID: ${socket.id}`);
+    socket.emit('join_room', { roomId: 'room1' });
+    
+    // Simulate sending a message
+    socket.emit('send_message', {
+        roomId: 'room1',
+        message: 'Hello, Room!',
+    });
+});
+
+socket.on('receive_message', (data) => {
+    console.log(`Message received: ${data.message} from ${data.sender}`);
+});
@@ -1,23 +1,30 @@
-const { io } = require('socket.io-client');
-
-const socket = io('http://localhost:5000'); // Connect to your server
-
-socket.on('connect', () => {
-    console.log(`Connected with ID: ${socket.id}`);
-
-    // Join a specific room (replace with your service-request-id)
-    const roomId = 'test-room';
-    socket.emit('join_room', { roomId });
-
-    // Send a message
-    socket.emit('send_message', {
-        roomId,
-        sender: 'TestUser',
-        message: 'Hello, this is a test message! we are testing the chat feature. For the presentation',
-    });
-});
-
-// Receive messages
-socket.on('receive_message', (data) => {
-    console.log('Received message:', data);
-});
+const { io } = require('socket.io-client');
+
+// Connect to your server with an access token from POST /api/auth/login.
+// Point SERVER_URL at another instance to check cross-process delivery.
+const socket = io(process.env.SERVER_URL || 'http://localhost:5000', {
+    auth: { token: process.env.ACCESS_TOKEN },
+});
+
+socket.on('connect', () => {
+    console.log(`Connected with ID: ${socket.id}`);
+
+    // Join a specific room (replace with your service-request-id)
+    const roomId = 'test-room';
+    socket.emit('join_room', { roomId });
+
+    // Send a message
+    socket.emit('send_message', {
+        roomId,
+        message: 'Hello, this is a test message! we are testing the chat feature. For the presentation',
+    });
+});
+
+socket.on('connect_error', (error) => {
+    console.error('Connection refused:', error.message);
+});
+
+// Receive messages
+socket.on('receive_message', (data) => {
+    console.log('Received message:', data);
+});
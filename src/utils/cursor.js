@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Opaque pagination cursors. Message history pages by the room's sequence
+// numbers, which are its canonical order. The inbox pages conversations by
+// lastActivityAt, with _id breaking ties between rooms active in the same
+// millisecond.
+
+const encodeSeqCursor = (message) => Buffer.from(`seq_${message.seq}`).toString('base64url');
+
+// Returns the seq or null if the cursor is malformed
+const decodeSeqCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const match = /^seq_(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  const seq = match ? Number(match[1]) : NaN;
+  return Number.isSafeInteger(seq) && seq >= 1 ? seq : null;
+};
+
+// Filter for the sequenced messages of a room, optionally within a seq range
+// such as { $gt: 10 }. The $type condition matches the partial (roomId, seq)
+// index, so MongoDB can use it to filter and sort.
+const seqQuery = (roomId, range = {}) => ({ roomId, seq: { $type: 'number', ...range } });
+
+const encodeCursor = (entry) =>
+  Buffer.from(`${entry.timestamp.getTime()}_${entry._id}`).toString('base64url');
+
+// Returns { timestamp, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') return null;
+
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const timestamp = new Date(Number(time));
+  if (!time || Number.isNaN(timestamp.getTime()) || !mongoose.isValidObjectId(id)) return null;
+
+  return { timestamp, id: new mongoose.Types.ObjectId(id) };
+};
+
+module.exports = { encodeSeqCursor, decodeSeqCursor, seqQuery, encodeCursor, decodeCursor };
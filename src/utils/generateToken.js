@@ -1,10 +1,23 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt');
+const { getKeySet } = require('./signingKeys');
 
+// Access tokens are signed with the active asymmetric key so other services
+// can verify them from the published key set. The jti lets a single token be revoked.
 exports.generateAccessToken = (payload) => {
-  return jwt.sign(payload, jwtConfig.accessTokenSecret, { expiresIn: jwtConfig.accessTokenExpiry });
+  return getKeySet().sign(payload, {
+    expiresIn: jwtConfig.accessTokenExpiry,
+    jwtid: crypto.randomUUID()
+  });
 };
 
+exports.verifyAccessToken = (token) => getKeySet().verify(token);
+
+// Each refresh token gets a unique jti so two logins in the same second never collide
 exports.generateRefreshToken = (payload) => {
-  return jwt.sign(payload, jwtConfig.refreshTokenSecret, { expiresIn: jwtConfig.refreshTokenExpiry });
-};
\ No newline at end of file
+  return jwt.sign(payload, jwtConfig.refreshTokenSecret, {
+    expiresIn: jwtConfig.refreshTokenExpiry,
+    jwtid: crypto.randomUUID()
+  });
+};
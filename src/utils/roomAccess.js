@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const ChatRoom = require('../models/ChatRoom');
+const RoomAccessLog = require('../models/RoomAccessLog');
+
+// Resolves to true if the user is a participant of the room.
+// Every check, granted or denied, is written to the access log.
+const checkRoomAccess = async ({ roomId, userId, action, ip = null }) => {
+  const granted =
+    typeof roomId === 'string' &&
+    mongoose.isValidObjectId(userId) &&
+    Boolean(await ChatRoom.exists({ roomId, 'participants.userId': userId }));
+
+  await RoomAccessLog.create({ roomId: String(roomId), userId: String(userId), action, granted, ip });
+  return granted;
+};
+
+module.exports = checkRoomAccess;
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwtConfig = require('../config/jwt');
+
+// The algorithm each key type signs with
+const algorithmFor = (publicKey) => {
+  const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+  if (asymmetricKeyType === 'rsa') return 'RS256';
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+  throw new Error(`Unsupported signing key type: ${asymmetricKeyType}`);
+};
+
+// Accepts private keys, which can sign, and public keys, which only verify
+const loadKey = (kid, pem) => {
+  let privateKey = null;
+  let publicKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem);
+    publicKey = crypto.createPublicKey(privateKey);
+  } catch (error) {
+    publicKey = crypto.createPublicKey(pem);
+  }
+  return { kid, alg: algorithmFor(publicKey), privateKey, publicKey };
+};
+
+const loadKeysFromDir = (dir) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.pem'))
+    .sort()
+    .map((file) => loadKey(path.basename(file, '.pem'), fs.readFileSync(path.join(dir, file))));
+
+const generateKey = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  return { kid: `ephemeral-${crypto.randomUUID()}`, alg: 'ES256', privateKey, publicKey };
+};
+
+// Signs with the active key and verifies against every key by `kid`, so
+// tokens signed before a rotation stay valid until they expire
+const createKeySet = (keys, { activeKid, legacySecret } = {}) => {
+  const byKid = new Map(keys.map((key) => [key.kid, key]));
+  const signers = keys.filter((key) => key.privateKey);
+  // Kids sort by name, so date-based kids make the newest key the default
+  const active = activeKid ? byKid.get(activeKid) : signers[signers.length - 1];
+  if (!active?.privateKey) throw new Error(`No private key for active signing key: ${activeKid}`);
+
+  return {
+    activeKid: active.kid,
+
+    sign(payload, options = {}) {
+      return jwt.sign(payload, active.privateKey, { ...options, algorithm: active.alg, keyid: active.kid });
+    },
+
+    // Throws like jwt.verify. Each key only accepts its own algorithm, so a
+    // token cannot pick a weaker one, e.g. HS256 keyed with a public key.
+    verify(token) {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+
+      const { kid } = decoded.header;
+      if (kid === undefined && legacySecret) {
+        // Whoever still holds the old secret must not be able to mint lasting tokens
+        if (typeof decoded.payload.exp !== 'number') throw new jwt.JsonWebTokenError('jwt expiry required');
+        return jwt.verify(token, legacySecret, {
+          algorithms: ['HS256'],
+          maxAge: jwtConfig.accessTokenExpiry,
+        });
+      }
+
+      const key = byKid.get(kid);
+      if (!key) throw new jwt.JsonWebTokenError('Unknown signing key');
+      return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+    },
+
+    // Public keys as a JSON Web Key Set (RFC 7517)
+    jwks() {
+      return {
+        keys: keys.map(({ kid, alg, publicKey }) => ({
+          ...publicKey.export({ format: 'jwk' }),
+          kid,
+          alg,
+          use: 'sig',
+        })),
+      };
+    },
+  };
+};
+
+let keySet;
+
+// Where a throwaway key is acceptable in place of JWT_KEYS_DIR
+const TEMPORARY_KEY_ENVIRONMENTS = ['development', 'test'];
+
+// Returns the configured key set, loading it on first use
+const getKeySet = () => {
+  if (!keySet) {
+    const { keysDir, activeKid, legacyAccessTokenSecret } = jwtConfig;
+    let keys;
+    if (keysDir) {
+      keys = loadKeysFromDir(keysDir);
+      if (!keys.length) throw new Error(`No .pem signing keys found in JWT_KEYS_DIR (${keysDir})`);
+    } else if (TEMPORARY_KEY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      if (process.env.NODE_ENV !== 'test') {
+        console.warn('No JWT signing keys configured; using a temporary key for this process');
+      }
+      keys = [generateKey()];
+    } else {
+      // A per-process key would fail on every other instance and after each restart
+      throw new Error('JWT_KEYS_DIR must be set unless NODE_ENV is development or test');
+    }
+    keySet = createKeySet(keys, { activeKid, legacySecret: legacyAccessTokenSecret });
+  }
+  return keySet;
+};
+
+// Replaces the key set, e.g. to test a rotation
+const setKeySet = (keys) => {
+  keySet = keys;
+};
+
+module.exports = { createKeySet, loadKey, generateKey, getKeySet, setKeySet };
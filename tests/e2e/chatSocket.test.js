@@ -0,0 +1,609 @@
+/**
+ * End-to-End Tests for the Socket.IO Chat Handlers
+ * Tests LO3: System-level Testing
+ *
+ * Purpose: Exercise the real socket middleware and handlers against a live server
+ */
+
+const io = require('socket.io-client');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const ChatMessage = require('../../src/models/ChatMessage');
+const ChatRoom = require('../../src/models/ChatRoom');
+const Attachment = require('../../src/models/Attachment');
+const socketAuthMiddleware = require('../../src/middleware/socketAuthMiddleware');
+const registerChatHandlers = require('../../src/socket/chatHandlers');
+const registerPresenceHandlers = require('../../src/socket/presenceHandlers');
+const registerAuthHandlers = require('../../src/socket/authHandlers');
+const User = require('../../src/models/User');
+const Presence = require('../../src/models/Presence');
+const { getRoomPresence } = require('../../src/services/presenceService');
+const { MAX_MESSAGE_LENGTH } = require('../../src/socket/schemas');
+const { createTestUser, addParticipant } = require('../utils/authHelper');
+
+describe('Chat Socket Handlers - End-to-End Tests', () => {
+  let httpServer;
+  let ioServer;
+  let port;
+  let clients = [];
+
+  const connect = (user) =>
+    new Promise((resolve, reject) => {
+      const client = io(`http://localhost:${port}`, {
+        auth: { token: user.token },
+        forceNew: true
+      });
+      clients.push(client);
+      client.on('connect', () => resolve(client));
+      client.on('connect_error', reject);
+    });
+
+  const waitFor = (client, event) => new Promise((resolve) => client.once(event, resolve));
+
+  // Joins a room and resolves with the room_synced marker
+  const join = (client, payload) => {
+    const synced = waitFor(client, 'room_synced');
+    client.emit('join_room', payload);
+    return synced;
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    httpServer = createServer();
+    ioServer = new Server(httpServer);
+    ioServer.use(socketAuthMiddleware);
+    ioServer.on('connection', (socket) => {
+      registerAuthHandlers(ioServer, socket);
+      registerChatHandlers(ioServer, socket);
+      registerPresenceHandlers(ioServer, socket);
+    });
+
+    await new Promise((resolve) => {
+      httpServer.listen(() => {
+        port = httpServer.address().port;
+        resolve();
+      });
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    ioServer.close();
+    httpServer.close();
+  });
+
+  beforeEach(async () => {
+    await ChatMessage.deleteMany({});
+    await ChatRoom.deleteMany({});
+    await Attachment.deleteMany({});
+  });
+
+  afterEach(() => {
+    clients.forEach((client) => client.disconnect());
+    clients = [];
+  });
+
+  describe('Authentication', () => {
+    test('should refuse connections without a token', async () => {
+      const client = io(`http://localhost:${port}`, { forceNew: true });
+      clients.push(client);
+
+      const error = await waitFor(client, 'connect_error');
+
+      expect(error.message).toBe('Unauthorized');
+    });
+
+    test('should use the authenticated user as sender', async () => {
+      const customer = createTestUser('customer');
+      await addParticipant('room-sender', customer);
+      const client = await connect(customer);
+      await join(client, { roomId: 'room-sender' });
+
+      const received = waitFor(client, 'receive_message');
+      client.emit('send_message', { roomId: 'room-sender', sender: 'spoofed', message: 'Hi' });
+
+      expect((await received).sender).toBe(customer.userId);
+    });
+  });
+
+  describe('Room Membership', () => {
+    test('should reject joins from non-participants', async () => {
+      const outsider = createTestUser('customer');
+      const client = await connect(outsider);
+
+      const error = waitFor(client, 'error');
+      client.emit('join_room', { roomId: 'room-private' });
+
+      expect(await error).toMatchObject({ event: 'join_room', code: 'FORBIDDEN' });
+    });
+
+    test('should reject messages to rooms that were not joined', async () => {
+      const customer = createTestUser('customer');
+      const client = await connect(customer);
+
+      const error = waitFor(client, 'error');
+      client.emit('send_message', { roomId: 'room-other', message: 'Hi' });
+
+      expect(await error).toMatchObject({ event: 'send_message', code: 'FORBIDDEN' });
+      expect(await ChatMessage.countDocuments({ roomId: 'room-other' })).toBe(0);
+    });
+  });
+
+  describe('Payload Validation', () => {
+    const roomId = 'room-validation';
+    let client;
+
+    beforeEach(async () => {
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, customer);
+      client = await connect(customer);
+    });
+
+    test('should reject a join_room payload that is not an object', async () => {
+      const error = waitFor(client, 'error');
+      client.emit('join_room', roomId);
+
+      expect(await error).toMatchObject({
+        event: 'join_room',
+        code: 'INVALID_PAYLOAD',
+        errors: [expect.objectContaining({ field: '', rule: 'type' })]
+      });
+    });
+
+    test('should reject messages over the maximum length', async () => {
+      await join(client, { roomId });
+
+      const ack = await client.emitWithAck('send_message', {
+        roomId,
+        message: 'x'.repeat(MAX_MESSAGE_LENGTH + 1)
+      });
+
+      expect(ack.error.code).toBe('INVALID_PAYLOAD');
+      expect(ack.error.errors).toEqual([
+        expect.objectContaining({ field: 'message', rule: 'maxLength' })
+      ]);
+    });
+
+    test('should reject malformed IDs', async () => {
+      await join(client, { roomId });
+
+      const ack = await client.emitWithAck('edit_message', {
+        roomId,
+        messageId: 'not-an-id',
+        message: 'Changed'
+      });
+
+      expect(ack.error).toMatchObject({
+        code: 'INVALID_PAYLOAD',
+        errors: [expect.objectContaining({ field: 'messageId', rule: 'pattern' })]
+      });
+    });
+
+    test('should reject events sent with an ack but no payload', async () => {
+      const ack = await client.emitWithAck('mark_read');
+
+      expect(ack).toMatchObject({ ok: false, error: { code: 'INVALID_PAYLOAD' } });
+    });
+  });
+
+  describe('Acknowledgements and Idempotency', () => {
+    const roomId = 'room-ack';
+    let customer;
+    let client;
+
+    beforeEach(async () => {
+      customer = createTestUser('customer');
+      await addParticipant(roomId, customer);
+      client = await connect(customer);
+      await join(client, { roomId });
+    });
+
+    test('should ack with the persisted id and server timestamp', async () => {
+      const received = waitFor(client, 'receive_message');
+
+      const ack = await client.emitWithAck('send_message', {
+        roomId,
+        message: 'On my way',
+        clientMessageId: 'c-1'
+      });
+      const broadcast = await received;
+
+      expect(ack).toMatchObject({ ok: true, clientMessageId: 'c-1', duplicate: false });
+      expect(ack._id).toEqual(expect.any(String));
+      expect(ack.timestamp).toBeDefined();
+      expect(ack.seq).toBe(1);
+      expect(broadcast._id).toBe(ack._id);
+      expect(broadcast.seq).toBe(1);
+    });
+
+    test('should deduplicate retries with the same client message ID', async () => {
+      const payload = { roomId, message: 'ETA 10 minutes', clientMessageId: 'c-retry' };
+
+      const first = await client.emitWithAck('send_message', payload);
+      const retry = await client.emitWithAck('send_message', payload);
+
+      expect(retry).toMatchObject({ ok: true, _id: first._id, duplicate: true });
+      expect(await ChatMessage.countDocuments({ roomId })).toBe(1);
+    });
+
+    test('should return a structured error for an invalid message', async () => {
+      const ack = await client.emitWithAck('send_message', { roomId, clientMessageId: 'c-bad' });
+
+      expect(ack).toEqual({
+        ok: false,
+        error: {
+          code: 'INVALID_PAYLOAD',
+          message: 'Invalid send_message payload',
+          errors: [
+            { field: 'message', rule: 'required', message: "must have required property 'message'" }
+          ]
+        }
+      });
+      expect(await ChatMessage.countDocuments({ roomId })).toBe(0);
+    });
+
+    test('should ack a forbidden error for rooms that were not joined', async () => {
+      const ack = await client.emitWithAck('send_message', { roomId: 'room-other', message: 'x' });
+
+      expect(ack.ok).toBe(false);
+      expect(ack.error.code).toBe('FORBIDDEN');
+    });
+  });
+
+  describe('Attachments', () => {
+    const roomId = 'room-files';
+
+    test('should deliver attachment summaries with the message and claim them', async () => {
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, customer);
+      const attachment = await Attachment.create({
+        roomId,
+        uploader: customer.userId,
+        fileName: 'damage.jpg',
+        mimeType: 'image/jpeg',
+        size: 2048,
+        storageKey: 'attachments/damage',
+        thumbnailKey: 'attachments/damage-thumb'
+      });
+      const client = await connect(customer);
+      await join(client, { roomId });
+
+      const received = waitFor(client, 'receive_message');
+      const ack = await client.emitWithAck('send_message', {
+        roomId,
+        attachments: [attachment._id.toString()]
+      });
+
+      expect(ack.ok).toBe(true);
+      expect((await received).attachments).toEqual([
+        {
+          _id: attachment._id.toString(),
+          fileName: 'damage.jpg',
+          mimeType: 'image/jpeg',
+          size: 2048,
+          hasThumbnail: true
+        }
+      ]);
+      expect((await Attachment.findById(attachment._id)).messageId.toString()).toBe(ack._id);
+
+      const reuse = await client.emitWithAck('send_message', {
+        roomId,
+        attachments: [attachment._id.toString()]
+      });
+      expect(reuse).toMatchObject({ ok: false, error: { code: 'INVALID_ATTACHMENT' } });
+    });
+  });
+
+  describe('Receipts', () => {
+    const roomId = 'room-read';
+
+    test('should broadcast delivered and read watermarks to the room', async () => {
+      const driver = createTestUser('driver');
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, driver);
+      await addParticipant(roomId, customer);
+      const driverClient = await connect(driver);
+      const customerClient = await connect(customer);
+      await join(driverClient, { roomId });
+      await join(customerClient, { roomId });
+
+      await driverClient.emitWithAck('send_message', { roomId, message: 'Arrived' });
+      const sent = await driverClient.emitWithAck('send_message', { roomId, message: 'Outside' });
+
+      const delivered = waitFor(driverClient, 'receipt_updated');
+      await customerClient.emitWithAck('mark_delivered', { roomId, seq: sent.seq });
+      expect(await delivered).toEqual({
+        roomId,
+        userId: customer.userId,
+        lastDeliveredSeq: 2,
+        lastReadSeq: 0
+      });
+
+      const read = waitFor(driverClient, 'receipt_updated');
+      const ack = await customerClient.emitWithAck('read_message', { roomId, messageId: sent._id });
+      expect(ack).toMatchObject({ ok: true, lastReadSeq: 2 });
+      expect(await read).toMatchObject({ userId: customer.userId, lastReadSeq: 2 });
+    });
+
+    test('should ack an error for invalid seqs', async () => {
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, customer);
+      const client = await connect(customer);
+      await join(client, { roomId });
+
+      const ack = await client.emitWithAck('mark_read', { roomId, seq: 5 });
+
+      expect(ack).toMatchObject({ ok: false, error: { code: 'INVALID_SEQ' } });
+    });
+  });
+
+  describe('Presence', () => {
+    const roomId = 'room-presence';
+    let customer;
+    let driver;
+    let customerClient;
+
+    // Resolves with the next presence_changed event for the given user
+    const presenceOf = (client, userId) =>
+      new Promise((resolve) => {
+        const listener = (data) => {
+          if (data.userId !== userId) return;
+          client.off('presence_changed', listener);
+          resolve(data);
+        };
+        client.on('presence_changed', listener);
+      });
+
+    beforeEach(async () => {
+      customer = createTestUser('customer');
+      driver = createTestUser('driver');
+      await addParticipant(roomId, customer);
+      await addParticipant(roomId, driver);
+      await User.create({
+        _id: driver.userId,
+        email: `${driver.userId}@example.com`,
+        password: 'hashed',
+        firstName: 'Dana',
+        lastName: 'Driver',
+        role: 'driver'
+      });
+      customerClient = await connect(customer);
+      await join(customerClient, { roomId });
+    });
+
+    afterEach(async () => {
+      await User.deleteMany({});
+      await Presence.deleteMany({});
+    });
+
+    test('should announce when a participant comes online and goes offline', async () => {
+      const online = presenceOf(customerClient, driver.userId);
+      const driverClient = await connect(driver);
+      expect(await online).toMatchObject({ userId: driver.userId, online: true });
+
+      const offline = presenceOf(customerClient, driver.userId);
+      driverClient.disconnect();
+      const event = await offline;
+
+      expect(event.online).toBe(false);
+      const stored = await User.findById(driver.userId);
+      expect(stored.lastSeen.toISOString()).toBe(event.lastSeen);
+    });
+
+    test('should announce a user once when two devices connect at the same time', async () => {
+      const online = jest.fn();
+      customerClient.on('presence_changed', (data) => data.userId === driver.userId && online(data));
+
+      await Promise.all([connect(driver), connect(driver)]);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      expect(online).toHaveBeenCalledTimes(1);
+      expect(online).toHaveBeenCalledWith(expect.objectContaining({ online: true }));
+    });
+
+    test('should stay online until the last device disconnects', async () => {
+      const phone = await connect(driver);
+      const tablet = await connect(driver);
+      const offline = jest.fn();
+      customerClient.on('presence_changed', (data) => !data.online && offline(data));
+
+      phone.disconnect();
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(offline).not.toHaveBeenCalled();
+      expect(await getRoomPresence(ioServer, roomId)).toEqual(
+        expect.arrayContaining([expect.objectContaining({ userId: driver.userId, online: true })])
+      );
+
+      const last = presenceOf(customerClient, driver.userId);
+      tablet.disconnect();
+      expect(await last).toMatchObject({ online: false });
+    });
+
+    test('should report presence of every participant', async () => {
+      const presence = await getRoomPresence(ioServer, roomId);
+
+      expect(presence).toEqual(
+        expect.arrayContaining([
+          { userId: customer.userId, role: 'customer', online: true, lastSeen: null },
+          expect.objectContaining({ userId: driver.userId, role: 'driver', online: false })
+        ])
+      );
+    });
+  });
+
+  describe('Typing Indicators', () => {
+    const roomId = 'room-typing';
+
+    test('should include the display name and clear the indicator on disconnect', async () => {
+      const driver = createTestUser('driver');
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, driver);
+      await addParticipant(roomId, customer);
+      await User.create({
+        _id: driver.userId,
+        email: `${driver.userId}@example.com`,
+        password: 'hashed',
+        firstName: 'Dana',
+        lastName: 'Driver',
+        role: 'driver'
+      });
+      const driverClient = await connect(driver);
+      const customerClient = await connect(customer);
+      await join(driverClient, { roomId });
+      await join(customerClient, { roomId });
+
+      const started = waitFor(customerClient, 'typing');
+      driverClient.emit('typing', { roomId, isTyping: true });
+      expect(await started).toEqual({
+        roomId,
+        user: driver.userId,
+        name: 'Dana Driver',
+        isTyping: true
+      });
+
+      const stopped = waitFor(customerClient, 'typing');
+      driverClient.disconnect();
+      expect(await stopped).toMatchObject({ user: driver.userId, isTyping: false });
+
+      await User.deleteMany({});
+    });
+  });
+
+  describe('Editing and Deleting', () => {
+    const roomId = 'room-edits';
+
+    test('should notify room members of edits and deletions', async () => {
+      const driver = createTestUser('driver');
+      const customer = createTestUser('customer');
+      await addParticipant(roomId, driver);
+      await addParticipant(roomId, customer);
+      const driverClient = await connect(driver);
+      const customerClient = await connect(customer);
+      await join(driverClient, { roomId });
+      await join(customerClient, { roomId });
+
+      const sent = await driverClient.emitWithAck('send_message', { roomId, message: 'ETA 10' });
+
+      const updated = waitFor(customerClient, 'message_updated');
+      const editAck = await driverClient.emitWithAck('edit_message', {
+        roomId,
+        messageId: sent._id,
+        message: 'ETA 25'
+      });
+      expect(editAck.ok).toBe(true);
+      expect(await updated).toMatchObject({ _id: sent._id, message: 'ETA 25' });
+
+      const deleted = waitFor(customerClient, 'message_deleted');
+      await driverClient.emitWithAck('delete_message', { roomId, messageId: sent._id });
+      expect(await deleted).toMatchObject({ _id: sent._id, roomId });
+    });
+
+    test("should ack an error when editing someone else's message", async () => {
+      const driver = createTestUser('driver');
+      await addParticipant(roomId, driver);
+      const original = await ChatMessage.create({ roomId, sender: 'someone-else', message: 'Hi' });
+      const client = await connect(driver);
+      await join(client, { roomId });
+
+      const ack = await client.emitWithAck('edit_message', {
+        roomId,
+        messageId: original._id.toString(),
+        message: 'Changed'
+      });
+
+      expect(ack).toMatchObject({ ok: false, error: { code: 'FORBIDDEN' } });
+    });
+  });
+
+  describe('Reconnect Catch-up', () => {
+    const roomId = 'room-catchup';
+    let driver;
+
+    beforeEach(async () => {
+      driver = createTestUser('driver');
+      await addParticipant(roomId, driver);
+      await ChatMessage.insertMany(
+        [0, 1, 2, 3].map((i) => ({
+          roomId,
+          sender: 'customer',
+          message: `Message ${i}`,
+          timestamp: new Date(Date.UTC(2025, 0, 1, 12, 0, i))
+        }))
+      );
+    });
+
+    // Collects replayed messages until the room_synced marker arrives
+    const joinAndCollect = async (client, payload) => {
+      const replayed = [];
+      client.on('receive_message', (data) => replayed.push(data.message));
+      const synced = await join(client, payload);
+      return { replayed, synced };
+    };
+
+    test('should replay messages newer than the last seen message ID', async () => {
+      const lastSeen = await ChatMessage.findOne({ message: 'Message 1' });
+      const client = await connect(driver);
+
+      const { replayed, synced } = await joinAndCollect(client, {
+        roomId,
+        lastSeenMessageId: lastSeen._id.toString()
+      });
+
+      expect(replayed).toEqual(['Message 2', 'Message 3']);
+      expect(synced).toEqual({ roomId, replayed: 2, truncated: false });
+    });
+
+    test('should replay messages newer than the last seen timestamp', async () => {
+      const client = await connect(driver);
+
+      const { replayed } = await joinAndCollect(client, {
+        roomId,
+        lastSeenTimestamp: new Date(Date.UTC(2025, 0, 1, 12, 0, 2)).toISOString()
+      });
+
+      expect(replayed).toEqual(['Message 3']);
+    });
+
+    test('should replay messages after the last seen seq, in seq order', async () => {
+      // Saved with timestamps out of seq order, as concurrent senders can
+      await ChatMessage.insertMany(
+        [5, 6].map((seq, i) => ({
+          roomId,
+          sender: 'customer',
+          message: `Seq ${seq}`,
+          seq,
+          timestamp: new Date(Date.UTC(2025, 0, 1, 11, 0, 1 - i))
+        }))
+      );
+      const client = await connect(driver);
+
+      const { replayed, synced } = await joinAndCollect(client, { roomId, lastSeenSeq: 3 });
+
+      expect(replayed).toEqual(['Message 3', 'Seq 5', 'Seq 6']);
+      expect(synced.replayed).toBe(3);
+    });
+
+    test('should replay nothing without a last seen marker', async () => {
+      const client = await connect(driver);
+
+      const { replayed, synced } = await joinAndCollect(client, { roomId });
+
+      expect(replayed).toEqual([]);
+      expect(synced.replayed).toBe(0);
+    });
+
+    test('should not replay messages from another room by ID', async () => {
+      const foreign = await ChatMessage.create({ roomId: 'room-x', sender: 'a', message: 'x' });
+      const client = await connect(driver);
+
+      const { replayed } = await joinAndCollect(client, {
+        roomId,
+        lastSeenMessageId: foreign._id.toString()
+      });
+
+      expect(replayed).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * End-to-End Tests for Running Several Socket.IO Servers
+ * Tests LO3: System-level Testing
+ *
+ * Purpose: Check that rooms, typing and presence work across server instances
+ * that share the Mongo cluster adapter. The adapter's capped collection is
+ * replaced by an in-memory one, since change streams need a replica set.
+ */
+
+const { EventEmitter } = require('events');
+const io = require('socket.io-client');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const ChatMessage = require('../../src/models/ChatMessage');
+const ChatRoom = require('../../src/models/ChatRoom');
+const Presence = require('../../src/models/Presence');
+const User = require('../../src/models/User');
+const socketAuthMiddleware = require('../../src/middleware/socketAuthMiddleware');
+const registerAuthHandlers = require('../../src/socket/authHandlers');
+const registerChatHandlers = require('../../src/socket/chatHandlers');
+const registerPresenceHandlers = require('../../src/socket/presenceHandlers');
+const { createTestUser, addParticipant } = require('../utils/authHelper');
+
+// Stands in for the adapter's capped collection: every inserted document is
+// delivered to the change streams of the other servers, as MongoDB would
+const createSharedCollection = () => {
+  const streams = new Set();
+  return {
+    watch(pipeline) {
+      const stream = new EventEmitter();
+      stream.uid = pipeline[0].$match['fullDocument.uid'].$ne; // Servers skip their own events
+      stream.close = async () => {
+        streams.delete(stream);
+        stream.closed = true;
+      };
+      streams.add(stream);
+      return stream;
+    },
+    async insertOne(document) {
+      setImmediate(() => {
+        streams.forEach((stream) => {
+          if (stream.uid !== document.uid) {
+            stream.emit('change', { operationType: 'insert', fullDocument: document });
+          }
+        });
+      });
+      return { insertedId: new mongoose.Types.ObjectId() };
+    }
+  };
+};
+
+describe('Socket.IO Cluster - End-to-End Tests', () => {
+  const roomId = 'room-cluster';
+  const servers = [];
+  let clients = [];
+  let customer;
+  let driver;
+
+  // Connects a user to one of the servers
+  const connect = (user, server) =>
+    new Promise((resolve, reject) => {
+      const client = io(`http://localhost:${server.port}`, {
+        auth: { token: user.token },
+        forceNew: true
+      });
+      clients.push(client);
+      client.on('connect', () => resolve(client));
+      client.on('connect_error', reject);
+    });
+
+  const waitFor = (client, event) => new Promise((resolve) => client.once(event, resolve));
+
+  const join = (client) => {
+    const synced = waitFor(client, 'room_synced');
+    client.emit('join_room', { roomId });
+    return synced;
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    const collection = createSharedCollection();
+    for (let i = 0; i < 2; i++) {
+      const httpServer = createServer();
+      const ioServer = new Server(httpServer);
+      ioServer.adapter(createAdapter(collection));
+      ioServer.use(socketAuthMiddleware);
+      ioServer.on('connection', (socket) => {
+        registerAuthHandlers(ioServer, socket);
+        registerChatHandlers(ioServer, socket);
+        registerPresenceHandlers(ioServer, socket);
+      });
+
+      await new Promise((resolve) => httpServer.listen(resolve));
+      servers.push({ httpServer, ioServer, port: httpServer.address().port });
+    }
+    // Let the servers exchange heartbeats, so each counts the other
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  });
+
+  afterAll(async () => {
+    servers.forEach(({ ioServer, httpServer }) => {
+      ioServer.close();
+      httpServer.close();
+    });
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await ChatMessage.deleteMany({});
+    await ChatRoom.deleteMany({});
+    await Presence.deleteMany({});
+    customer = createTestUser('customer');
+    driver = createTestUser('driver');
+    await addParticipant(roomId, customer);
+    await addParticipant(roomId, driver);
+    await User.create({
+      _id: driver.userId,
+      email: `${driver.userId}@example.com`,
+      password: 'hashed',
+      firstName: 'Dana',
+      lastName: 'Driver',
+      role: 'driver'
+    });
+  });
+
+  afterEach(async () => {
+    clients.forEach((client) => client.disconnect());
+    clients = [];
+    await User.deleteMany({});
+  });
+
+  test('should deliver messages to room members on the other server', async () => {
+    const customerClient = await connect(customer, servers[0]);
+    const driverClient = await connect(driver, servers[1]);
+    await join(customerClient);
+    await join(driverClient);
+
+    const received = waitFor(customerClient, 'receive_message');
+    const ack = await driverClient.emitWithAck('send_message', { roomId, message: 'On my way' });
+
+    expect(ack.ok).toBe(true);
+    expect(await received).toMatchObject({ _id: ack._id, sender: driver.userId, message: 'On my way' });
+  });
+
+  test('should show typing to room members on the other server', async () => {
+    const customerClient = await connect(customer, servers[0]);
+    const driverClient = await connect(driver, servers[1]);
+    await join(customerClient);
+    await join(driverClient);
+
+    const typing = waitFor(customerClient, 'typing');
+    driverClient.emit('typing', { roomId, isTyping: true });
+
+    expect(await typing).toEqual({ roomId, user: driver.userId, name: 'Dana Driver', isTyping: true });
+  });
+
+  test('should announce presence to room members on the other server', async () => {
+    const customerClient = await connect(customer, servers[0]);
+    await join(customerClient);
+
+    const online = waitFor(customerClient, 'presence_changed');
+    const driverClient = await connect(driver, servers[1]);
+    expect(await online).toMatchObject({ userId: driver.userId, online: true });
+
+    // A second device on the first server keeps the driver online
+    const tablet = await connect(driver, servers[0]);
+    const offline = jest.fn();
+    customerClient.on('presence_changed', (data) => !data.online && offline(data));
+    driverClient.disconnect();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(offline).not.toHaveBeenCalled();
+
+    const last = waitFor(customerClient, 'presence_changed');
+    tablet.disconnect();
+    expect(await last).toMatchObject({ userId: driver.userId, online: false });
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Integration Tests for Chat Attachments
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test uploading and downloading attachments with database integration
+ */
+
+const { Readable } = require('stream');
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const chatRoutes = require('../../src/routes/chatRoutes');
+const Attachment = require('../../src/models/Attachment');
+const ChatMessage = require('../../src/models/ChatMessage');
+const ChatRoom = require('../../src/models/ChatRoom');
+const RoomAccessLog = require('../../src/models/RoomAccessLog');
+const { setStorage } = require('../../src/services/storage');
+const { resolveAttachments } = require('../../src/services/attachmentService');
+const { createMessage } = require('../../src/services/messageService');
+const { createTestUser, addParticipant } = require('../utils/authHelper');
+
+// Keeps stored files in a Map instead of on disk
+const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    async save(key, buffer) {
+      files.set(key, buffer);
+    },
+    async getStream(key) {
+      if (!files.has(key)) throw new Error('Not found');
+      return Readable.from([files.get(key)]);
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+};
+
+describe('Attachment Routes - Integration Tests', () => {
+  const roomId = 'room-attachments';
+  let app;
+  let user;
+  let storage;
+  let png;
+
+  const upload = (buffer, fileName, contentType, as = user) =>
+    request(app)
+      .post(`/api/chat/${roomId}/attachments`)
+      .set('Authorization', as.authHeader)
+      .attach('file', buffer, { filename: fileName, contentType });
+
+  beforeAll(async () => {
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/chat', chatRoutes);
+
+    png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 0, b: 0 } },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Attachment.deleteMany({});
+    await ChatMessage.deleteMany({});
+    await ChatRoom.deleteMany({});
+    await RoomAccessLog.deleteMany({});
+    storage = createMemoryStorage();
+    setStorage(storage);
+    user = createTestUser();
+    await addParticipant(roomId, user);
+  });
+
+  describe('POST /api/chat/:roomId/attachments', () => {
+    test('should store an image and generate a thumbnail', async () => {
+      const response = await upload(png, 'flat-tyre.png', 'image/png').expect(201);
+
+      expect(response.body).toMatchObject({
+        fileName: 'flat-tyre.png',
+        mimeType: 'image/png',
+        size: png.length,
+        hasThumbnail: true,
+      });
+
+      const saved = await Attachment.findById(response.body._id);
+      expect(saved.uploader).toBe(user.userId);
+      expect(storage.files.get(saved.storageKey)).toEqual(png);
+
+      const thumbnail = await sharp(storage.files.get(saved.thumbnailKey)).metadata();
+      expect(thumbnail.format).toBe('webp');
+      expect(thumbnail.width).toBe(320);
+    });
+
+    test('should store a PDF without a thumbnail', async () => {
+      const pdf = Buffer.from('%PDF-1.4\n%%EOF\n');
+      const response = await upload(pdf, 'invoice.pdf', 'application/pdf').expect(201);
+
+      expect(response.body.hasThumbnail).toBe(false);
+    });
+
+    test('should reject disallowed file types', async () => {
+      const response = await upload(Buffer.from('#!/bin/sh'), 'run.sh', 'text/x-shellscript')
+        .expect(415);
+
+      expect(response.body.code).toBe('UNSUPPORTED_TYPE');
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+
+    test('should reject files whose content does not match their type', async () => {
+      const response = await upload(Buffer.from('not an image'), 'photo.png', 'image/png')
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_FILE');
+      expect(storage.files.size).toBe(0);
+    });
+
+    test('should reject images in a different format than declared', async () => {
+      const jpeg = await sharp(png).jpeg().toBuffer();
+      const svg = Buffer.from(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10">' +
+          '<script>alert(1)</script><rect width="10" height="10"/></svg>'
+      );
+
+      for (const file of [jpeg, svg]) {
+        const response = await upload(file, 'photo.png', 'image/png').expect(400);
+        expect(response.body.code).toBe('INVALID_FILE');
+      }
+      expect(storage.files.size).toBe(0);
+    });
+
+    test('should reject requests without a file', async () => {
+      const response = await request(app)
+        .post(`/api/chat/${roomId}/attachments`)
+        .set('Authorization', user.authHeader)
+        .expect(400);
+
+      expect(response.body.code).toBe('NO_FILE');
+    });
+
+    test('should reject uploads from non-participants', async () => {
+      await upload(png, 'photo.png', 'image/png', createTestUser()).expect(403);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/chat/:roomId/attachments/:attachmentId', () => {
+    test('should download the original file', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+
+      const response = await request(app)
+        .get(`/api/chat/${roomId}/attachments/${body._id}`)
+        .set('Authorization', user.authHeader)
+        .buffer(true)
+        .parse((res, cb) => {
+          const chunks = [];
+          res.on('data', (chunk) => chunks.push(chunk));
+          res.on('end', () => cb(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toContain('photo.png');
+      expect(response.body).toEqual(png);
+    });
+
+    test('should download the thumbnail variant', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+
+      const response = await request(app)
+        .get(`/api/chat/${roomId}/attachments/${body._id}?variant=thumbnail`)
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+    });
+
+    test('should deny downloads to non-participants', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+
+      await request(app)
+        .get(`/api/chat/${roomId}/attachments/${body._id}`)
+        .set('Authorization', createTestUser().authHeader)
+        .expect(403);
+    });
+
+    test('should not serve attachments from another room', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+      await addParticipant('other-room', user);
+
+      await request(app)
+        .get(`/api/chat/other-room/attachments/${body._id}`)
+        .set('Authorization', user.authHeader)
+        .expect(404);
+    });
+  });
+
+  describe('Referencing attachments from messages', () => {
+    test('should resolve attachments uploaded by the sender', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+
+      const attachments = await resolveAttachments({
+        roomId,
+        userId: user.userId,
+        attachmentIds: [body._id],
+      });
+
+      expect(attachments).toHaveLength(1);
+    });
+
+    test("should reject another user's or an already used attachment", async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+
+      await expect(
+        resolveAttachments({ roomId, userId: createTestUser().userId, attachmentIds: [body._id] })
+      ).rejects.toMatchObject({ code: 'INVALID_ATTACHMENT' });
+
+      await Attachment.updateOne({ _id: body._id }, { messageId: new mongoose.Types.ObjectId() });
+      await expect(
+        resolveAttachments({ roomId, userId: user.userId, attachmentIds: [body._id] })
+      ).rejects.toMatchObject({ code: 'INVALID_ATTACHMENT' });
+    });
+
+    test('should let only one of two concurrent sends claim an attachment', async () => {
+      const { body } = await upload(png, 'photo.png', 'image/png').expect(201);
+      const send = (message) =>
+        createMessage({ roomId, sender: user.userId, message, attachmentIds: [body._id] });
+
+      const results = await Promise.allSettled([send('First'), send('Second')]);
+
+      const sent = results.filter((result) => result.status === 'fulfilled');
+      const refused = results.filter((result) => result.status === 'rejected');
+      expect(sent).toHaveLength(1);
+      expect(refused[0].reason.code).toBe('INVALID_ATTACHMENT');
+      expect(await ChatMessage.countDocuments({ roomId })).toBe(1);
+
+      const attachment = await Attachment.findById(body._id);
+      expect(String(attachment.messageId)).toBe(String(sent[0].value.chatMessage._id));
+    });
+  });
+});
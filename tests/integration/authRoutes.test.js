@@ -1,178 +1,1095 @@
-/**
- * Integration Tests for Authentication Routes
- * Tests LO3: Integration Testing
- *
- * Purpose: Test authentication endpoints with database integration
- */
-
-const request = require('supertest');
-const express = require('express');
-const mongoose = require('mongoose');
-const authRoutes = require('../../src/routes/authRoutes');
-const User = require('../../src/models/User');
-const RefreshToken = require('../../src/models/RefreshToken');
-
-describe('Authentication Routes - Integration Tests', () => {
-  let app;
-
-  beforeAll(async () => {
-    // Connect to local MongoDB
-    await mongoose.connect('mongodb://localhost:27017/rsachat');
-
-    // Setup Express app
-    app = express();
-    app.use(express.json());
-    app.use('/api/auth', authRoutes);
-  }, 120000); // Increased timeout for MongoDB Memory Server download
-
-  afterAll(async () => {
-    await mongoose.disconnect();
-  });
-
-  beforeEach(async () => {
-    // Clear database before each test
-    await User.deleteMany({});
-    await RefreshToken.deleteMany({});
-  });
-
-  describe('POST /api/auth/register', () => {
-    test('should handle missing required fields', async () => {
-      const incompleteData = {
-        email: 'incomplete@example.com'
-        // Missing password, firstName, lastName
-      };
-
-      const response = await request(app)
-        .post('/api/auth/register')
-        .send(incompleteData)
-        .expect(500);
-
-      expect(response.body.message).toBe('Server error');
-    });
-
-    test('should hash password before storing', async () => {
-      const userData = {
-        email: 'secure@example.com',
-        password: 'PlainTextPassword',
-        firstName: 'Secure',
-        lastName: 'User',
-        role: 'driver'
-      };
-
-      await request(app).post('/api/auth/register').send(userData).expect(201);
-
-      const user = await User.findOne({ email: userData.email });
-      expect(user.password).not.toBe(userData.password);
-      expect(user.password).toMatch(/^\$2[aby]\$/); // Bcrypt hash pattern
-    });
-  });
-
-  describe('POST /api/auth/login', () => {
-    const testUser = {
-      email: 'login@example.com',
-      password: 'TestPassword123!',
-      firstName: 'Login',
-      lastName: 'Test',
-      role: 'driver'
-    };
-
-    beforeEach(async () => {
-      // Create a test user for login tests
-      await request(app).post('/api/auth/register').send(testUser);
-    });
-
-    test('should reject login with wrong password', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: testUser.email,
-          password: 'WrongPassword123!'
-        })
-        .expect(400);
-
-      expect(response.body.message).toBe('Invalid credentials');
-      expect(response.body.accessToken).toBeUndefined();
-    });
-
-    test('should reject login with non-existent email', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: 'nonexistent@example.com',
-          password: 'AnyPassword123!'
-        })
-        .expect(400);
-
-      expect(response.body.message).toBe('Invalid credentials');
-    });
-
-    test('should reject login with missing email', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({
-          password: testUser.password
-        })
-        .expect(400);
-
-      expect(response.body.message).toBe('Invalid credentials');
-    });
-
-    test('should reject login with missing password', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: testUser.email
-        })
-        .expect(500);
-    });
-
-    test('should handle case-sensitive email', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({
-          email: testUser.email.toUpperCase(),
-          password: testUser.password
-        })
-        .expect(400);
-
-      expect(response.body.message).toBe('Invalid credentials');
-    });
-  });
-
-  describe('Error Handling', () => {
-    test('should handle malformed JSON', async () => {
-      const response = await request(app)
-        .post('/api/auth/register')
-        .set('Content-Type', 'application/json')
-        .send('{ invalid json }')
-        .expect(400);
-    });
-
-    test('should handle empty request body', async () => {
-      const response = await request(app).post('/api/auth/register').send({}).expect(500);
-    });
-  });
-
-  describe('Security Requirements', () => {
-    test('should not expose password in any response', async () => {
-      const userData = {
-        email: 'security@example.com',
-        password: 'SecurePassword123!',
-        firstName: 'Security',
-        lastName: 'Test',
-        role: 'driver'
-      };
-
-      const registerResponse = await request(app).post('/api/auth/register').send(userData);
-
-      expect(JSON.stringify(registerResponse.body)).not.toContain(userData.password);
-
-      const loginResponse = await request(app).post('/api/auth/login').send({
-        email: userData.email,
-        password: userData.password
-      });
-
-      expect(JSON.stringify(loginResponse.body)).not.toContain(userData.password);
-    });
-  });
-});
+/**
+ * Integration Tests for Authentication Routes
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test authentication endpoints with database integration
+ */
+
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const authRoutes = require('../../src/routes/authRoutes');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const UserToken = require('../../src/models/UserToken');
+const RevokedToken = require('../../src/models/RevokedToken');
+const authConfig = require('../../src/config/auth');
+const hashPassword = require('../../src/utils/hashPassword');
+const { totp } = require('../../src/utils/totp');
+const lockoutConfig = require('../../src/config/lockout');
+const { setMailer } = require('../../src/services/mailer');
+const rateLimitConfig = require('../../src/config/rateLimit');
+const { setStore } = require('../../src/services/rateLimit');
+const createMemoryStore = require('../../src/services/rateLimit/memoryStore');
+
+// User-wide revocations only cover tokens issued in an earlier second
+const nextSecond = () => new Promise((resolve) => setTimeout(resolve, 1000 - (Date.now() % 1000)));
+
+// Some emails are sent after the response; polls until `condition` holds
+const waitUntil = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 10));
+};
+
+describe('Authentication Routes - Integration Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    // Connect to local MongoDB
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    // Setup Express app
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  }, 120000); // Increased timeout for MongoDB Memory Server download
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Clear database before each test
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await LoginAttempt.deleteMany({});
+    await UserToken.deleteMany({});
+    await RevokedToken.deleteMany({});
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('should handle missing required fields', async () => {
+      const incompleteData = {
+        email: 'incomplete@example.com'
+        // Missing password, firstName, lastName
+      };
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(incompleteData)
+        .expect(500);
+
+      expect(response.body.message).toBe('Server error');
+    });
+
+    test('should not allow self-registration as dispatcher', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'dispatcher@example.com',
+          password: 'TestPassword123!',
+          firstName: 'Staff',
+          lastName: 'User',
+          role: 'dispatcher'
+        })
+        .expect(403);
+
+      expect(response.body.message).toBe('Role not allowed');
+    });
+
+    test('should hash password before storing', async () => {
+      const userData = {
+        email: 'secure@example.com',
+        password: 'PlainTextPassword',
+        firstName: 'Secure',
+        lastName: 'User',
+        role: 'driver'
+      };
+
+      await request(app).post('/api/auth/register').send(userData).expect(201);
+
+      const user = await User.findOne({ email: userData.email });
+      expect(user.password).not.toBe(userData.password);
+      expect(user.password).toMatch(/^\$2[aby]\$/); // Bcrypt hash pattern
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    const testUser = {
+      email: 'login@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Login',
+      lastName: 'Test',
+      role: 'driver'
+    };
+
+    beforeEach(async () => {
+      // Create a test user for login tests
+      await request(app).post('/api/auth/register').send(testUser);
+    });
+
+    test('should reject login with wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: testUser.email,
+          password: 'WrongPassword123!'
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid credentials');
+      expect(response.body.accessToken).toBeUndefined();
+    });
+
+    test('should reject login with non-existent email', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: 'nonexistent@example.com',
+          password: 'AnyPassword123!'
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid credentials');
+    });
+
+    test('should reject login with missing email', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          password: testUser.password
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid credentials');
+    });
+
+    test('should reject login with missing password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: testUser.email
+        })
+        .expect(500);
+    });
+
+    test('should handle case-sensitive email', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({
+          email: testUser.email.toUpperCase(),
+          password: testUser.password
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid credentials');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    const testUser = {
+      email: 'refresh@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Refresh',
+      lastName: 'Test',
+      role: 'customer'
+    };
+
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+      return response.body;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(testUser);
+    });
+
+    test('should store refresh token with an expiry date on login', async () => {
+      const { refreshToken } = await login();
+
+      const stored = await RefreshToken.findOne({ refreshToken });
+      expect(stored).not.toBeNull();
+      expect(stored.expiryDate.getTime()).toBeGreaterThan(Date.now());
+      expect(stored.family).toBeDefined();
+    });
+
+    test('should rotate refresh token and return a new pair', async () => {
+      const { refreshToken } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      const old = await RefreshToken.findOne({ refreshToken });
+      expect(old.revokedAt).not.toBeNull();
+      expect(old.replacedByToken).toBe(response.body.refreshToken);
+    });
+
+    test('should revoke the whole family when a rotated token is replayed', async () => {
+      const { refreshToken } = await login();
+
+      const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+
+      const replay = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(403);
+      expect(replay.body.message).toBe('Refresh token reuse detected');
+
+      // The legitimately rotated token is now revoked too
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.refreshToken })
+        .expect(403);
+    });
+
+    test('should reject missing refresh token', async () => {
+      const response = await request(app).post('/api/auth/refresh').send({}).expect(401);
+
+      expect(response.body.message).toBe('Refresh token required');
+    });
+
+    test('should reject refresh token not in the database', async () => {
+      const { refreshToken } = await login();
+      await RefreshToken.deleteMany({});
+
+      const response = await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(403);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    test('should reject malformed refresh token', async () => {
+      await request(app).post('/api/auth/refresh').send({ refreshToken: 'not.a.jwt' }).expect(403);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    const testUser = {
+      email: 'logout@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Logout',
+      lastName: 'Test',
+      role: 'driver'
+    };
+
+    const login = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+      return response.body;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(testUser);
+    });
+
+    test('should revoke the current session only', async () => {
+      const first = await login();
+      const second = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(403);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(200);
+    });
+
+    test('should require a refresh token', async () => {
+      await request(app).post('/api/auth/logout').send({}).expect(401);
+    });
+
+    test('should revoke the access token sent with the logout', async () => {
+      const first = await login();
+      const second = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${first.accessToken}`)
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.accessToken}`)
+        .expect(401);
+      expect(response.body.message).toBe('Token revoked');
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${second.accessToken}`)
+        .expect(200);
+    });
+
+    test('should revoke every access token of the session, not just the one sent', async () => {
+      const first = await login();
+      const second = await login();
+      const refreshed = (
+        await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200)
+      ).body;
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: refreshed.refreshToken })
+        .expect(200);
+
+      for (const accessToken of [first.accessToken, refreshed.accessToken]) {
+        const response = await request(app)
+          .post('/api/auth/logout-all')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(401);
+        expect(response.body.message).toBe('Token revoked');
+      }
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${second.accessToken}`)
+        .expect(200);
+    });
+
+    test('should sign out all devices', async () => {
+      const first = await login();
+      const second = await login();
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.accessToken}`)
+        .expect(200);
+
+      expect(response.body.revokedSessions).toBe(2);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken })
+        .expect(403);
+    });
+
+    test('should revoke every access token when signing out all devices', async () => {
+      const first = await login();
+      const second = await login();
+      await nextSecond();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${second.accessToken}`)
+        .expect(401);
+    });
+
+    test('should require authentication to sign out all devices', async () => {
+      await request(app).post('/api/auth/logout-all').expect(401);
+    });
+  });
+
+  describe('Rate Limiting', () => {
+    beforeEach(() => {
+      rateLimitConfig.enabled = true;
+      setStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+      rateLimitConfig.enabled = false;
+    });
+
+    test('should answer 429 once a client exceeds the login limit', async () => {
+      const attempt = () =>
+        request(app)
+          .post('/api/auth/login')
+          .send({ email: 'nobody@example.com', password: 'wrong' });
+
+      for (let i = 0; i < rateLimitConfig.rules.login.capacity; i++) {
+        await attempt().expect(400);
+      }
+      const response = await attempt().expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.body.message).toBe('Too many requests');
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    const password = 'StaffPassword123!';
+    // Codes one time step ahead, so they are newer than the code used to enrol
+    const nextCode = (secret) => totp(secret, { time: Date.now() + 30000 });
+
+    const createUser = async (role) => {
+      const email = `${role}-2fa@example.com`;
+      await User.create({
+        email,
+        password: await hashPassword(password),
+        firstName: 'Two',
+        lastName: 'Factor',
+        role
+      });
+      return email;
+    };
+
+    const login = (email) => request(app).post('/api/auth/login').send({ email, password }).expect(200);
+
+    // Signs a driver in and enables two-factor, returning the secret and recovery codes
+    const enrol = async () => {
+      const email = await createUser('driver');
+      const { accessToken } = (await login(email)).body;
+      const auth = `Bearer ${accessToken}`;
+
+      const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: totp(setup.body.secret) })
+        .expect(200);
+
+      return { email, auth, secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+    };
+
+    test('should sign in without a second factor until one is set up', async () => {
+      const email = await createUser('driver');
+
+      const response = await login(email);
+
+      expect(response.body.accessToken).toBeDefined();
+    });
+
+    test('should return a provisioning URI without enabling anything yet', async () => {
+      const email = await createUser('driver');
+      const { accessToken } = (await login(email)).body;
+
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.otpauthUrl).toContain(`secret=${response.body.secret}`);
+      const user = await User.findOne({ email }).select('+twoFactor.pendingSecret');
+      expect(user.twoFactor.pendingSecret).toBe(response.body.secret);
+      expect(user.twoFactor.enabled).toBe(false);
+    });
+
+    test('should refuse to enable with a wrong code', async () => {
+      const email = await createUser('driver');
+      const { accessToken } = (await login(email)).body;
+      const auth = `Bearer ${accessToken}`;
+      await request(app).post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid code');
+    });
+
+    test('should return a challenge instead of tokens once enabled', async () => {
+      const { email, recoveryCodes } = await enrol();
+
+      const response = await login(email);
+
+      expect(recoveryCodes).toHaveLength(authConfig.twoFactor.recoveryCodeCount);
+      expect(response.body.twoFactorRequired).toBe(true);
+      expect(response.body.challengeToken).toBeDefined();
+      expect(response.body.accessToken).toBeUndefined();
+    });
+
+    test('should not accept the challenge token as an access token', async () => {
+      const { email } = await enrol();
+      const { challengeToken } = (await login(email)).body;
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(403);
+    });
+
+    test('should issue tokens for the challenge and a valid code, once', async () => {
+      const { email, secret } = await enrol();
+      const { challengeToken } = (await login(email)).body;
+      const code = nextCode(secret);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code })
+        .expect(200);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+
+      // The same code cannot be replayed
+      await request(app).post('/api/auth/2fa/verify').send({ challengeToken, code }).expect(400);
+    });
+
+    test('should reject a wrong code or a bad challenge', async () => {
+      const { email } = await enrol();
+      const { challengeToken } = (await login(email)).body;
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code: '000000' })
+        .expect(400);
+      expect(wrong.body.message).toBe('Invalid code');
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: 'garbage', code: '000000' })
+        .expect(401);
+    });
+
+    test('should hand out random base32 recovery codes and store only bcrypt hashes', async () => {
+      const { email, recoveryCodes } = await enrol();
+
+      recoveryCodes.forEach((code) => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+      expect(new Set(recoveryCodes).size).toBe(recoveryCodes.length);
+
+      const user = await User.findOne({ email }).select('+twoFactor.recoveryCodes');
+      expect(user.twoFactor.recoveryCodes).toHaveLength(recoveryCodes.length);
+      user.twoFactor.recoveryCodes.forEach((hash) => expect(hash).toMatch(/^\$2[aby]\$10\$/));
+      expect(await bcrypt.compare(recoveryCodes[0].replace('-', ''), user.twoFactor.recoveryCodes[0])).toBe(true);
+    });
+
+    test('should accept each recovery code once', async () => {
+      const { email, recoveryCodes } = await enrol();
+      const { challengeToken } = (await login(email)).body;
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0].toLowerCase().replace('-', ' ') })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(400);
+    });
+
+    test('should replace recovery codes on request', async () => {
+      const { auth, secret, recoveryCodes } = await enrol();
+
+      const response = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', auth)
+        .send({ code: nextCode(secret) })
+        .expect(200);
+
+      expect(response.body.recoveryCodes).toHaveLength(recoveryCodes.length);
+      expect(response.body.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    test('should let optional users turn it off with a code', async () => {
+      const { email, auth, secret } = await enrol();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', auth)
+        .send({ code: nextCode(secret) })
+        .expect(200);
+
+      const response = await login(email);
+      expect(response.body.accessToken).toBeDefined();
+    });
+
+    describe('Required Roles', () => {
+      test('should make a dispatcher enrol before signing in', async () => {
+        const email = await createUser('dispatcher');
+
+        const first = await login(email);
+        expect(first.body.twoFactorSetupRequired).toBe(true);
+        expect(first.body.accessToken).toBeUndefined();
+
+        const { challengeToken } = first.body;
+        const setup = await request(app)
+          .post('/api/auth/2fa/setup')
+          .send({ challengeToken })
+          .expect(200);
+        const enabled = await request(app)
+          .post('/api/auth/2fa/enable')
+          .send({ challengeToken, code: totp(setup.body.secret) })
+          .expect(200);
+
+        expect(enabled.body.recoveryCodes).toHaveLength(authConfig.twoFactor.recoveryCodeCount);
+        expect(enabled.body.accessToken).toBeDefined();
+
+        const next = await login(email);
+        expect(next.body.twoFactorRequired).toBe(true);
+      });
+
+      test('should not accept a login challenge for enrolment', async () => {
+        const { email } = await enrol();
+        const { challengeToken } = (await login(email)).body;
+
+        await request(app).post('/api/auth/2fa/setup').send({ challengeToken }).expect(401);
+      });
+
+      test('should not let a dispatcher turn it off', async () => {
+        const email = await createUser('dispatcher');
+        const { challengeToken } = (await login(email)).body;
+        const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+        const { accessToken } = (
+          await request(app)
+            .post('/api/auth/2fa/enable')
+            .send({ challengeToken, code: totp(setup.body.secret) })
+        ).body;
+
+        const response = await request(app)
+          .post('/api/auth/2fa/disable')
+          .set('Authorization', `Bearer ${accessToken}`)
+          .send({ code: nextCode(setup.body.secret) })
+          .expect(403);
+
+        expect(response.body.message).toBe('Two-factor authentication is required for your role');
+      });
+    });
+  });
+
+  describe('Email Verification', () => {
+    const testUser = {
+      email: 'verify@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Verify',
+      lastName: 'Test',
+      role: 'customer'
+    };
+    let sent;
+
+    const tokenFrom = (mail) => new URL(mail.text.match(/http\S+/)[0]).searchParams.get('token');
+
+    const login = () =>
+      request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+    beforeEach(async () => {
+      sent = [];
+      setMailer({ send: async (message) => sent.push(message) });
+      await request(app).post('/api/auth/register').send(testUser).expect(201);
+    });
+
+    afterEach(() => {
+      authConfig.emailVerification.required = false;
+    });
+
+    test('should email a verification link on registration', async () => {
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe(testUser.email);
+      expect(sent[0].text).toContain('/verify-email?token=');
+
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.emailVerified).toBe(false);
+    });
+
+    test('should store only a hash of the token', async () => {
+      const token = tokenFrom(sent[0]);
+
+      const stored = await UserToken.findOne({ purpose: 'verify_email' });
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should verify the email with the token, once', async () => {
+      const token = tokenFrom(sent[0]);
+
+      await request(app).post('/api/auth/verify-email').send({ token }).expect(200);
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.emailVerified).toBe(true);
+
+      const reused = await request(app).post('/api/auth/verify-email').send({ token }).expect(400);
+      expect(reused.body.message).toBe('Invalid or expired verification token');
+    });
+
+    test('should reject an unknown token', async () => {
+      await request(app).post('/api/auth/verify-email').send({ token: 'not-a-token' }).expect(400);
+      await request(app).post('/api/auth/verify-email').send({ token: { $ne: null } }).expect(400);
+    });
+
+    test('should let unverified users sign in with a reminder flag', async () => {
+      const response = await login().expect(200);
+
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.emailVerified).toBe(false);
+    });
+
+    test('should refuse unverified users when verification is required', async () => {
+      authConfig.emailVerification.required = true;
+
+      const refused = await login().expect(403);
+      expect(refused.body.message).toBe('Email not verified');
+      expect(refused.body.accessToken).toBeUndefined();
+
+      await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(sent[0]) });
+      const response = await login().expect(200);
+      expect(response.body.emailVerified).toBe(true);
+    });
+
+    test('should resend a new link and retire the old one', async () => {
+      const oldToken = tokenFrom(sent[0]);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      await waitUntil(() => sent.length >= 2);
+      expect(sent).toHaveLength(2);
+      await request(app).post('/api/auth/verify-email').send({ token: oldToken }).expect(400);
+      await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(sent[1]) }).expect(200);
+    });
+
+    test('should answer resend requests the same for unknown and verified emails', async () => {
+      const unknown = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(sent[0]) });
+      const verified = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      expect(verified.body.message).toBe(unknown.body.message);
+      expect(sent).toHaveLength(1);
+    });
+
+    test('should answer the same when the verification email cannot be sent', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setMailer({ send: async () => { throw new Error('SMTP unavailable'); } });
+
+      const unverified = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: testUser.email });
+      const unknown = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'nobody@example.com' });
+
+      expect(unverified.status).toBe(200);
+      expect(unverified.body.message).toBe(unknown.body.message);
+      await waitUntil(() => consoleError.mock.calls.length > 0);
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('Password Reset', () => {
+    const testUser = {
+      email: 'reset@example.com',
+      password: 'OldPassword123!',
+      firstName: 'Reset',
+      lastName: 'Test',
+      role: 'driver'
+    };
+    const newPassword = 'NewPassword456!';
+    let sent;
+
+    const tokenFrom = (mail) => new URL(mail.text.match(/http\S+/)[0]).searchParams.get('token');
+
+    const login = (password) =>
+      request(app).post('/api/auth/login').send({ email: testUser.email, password });
+
+    // The reset email is sent after the response, so wait for it to arrive
+    const forgot = async (email = testUser.email) => {
+      const expected = sent.length + (email === testUser.email ? 1 : 0);
+      const response = await request(app).post('/api/auth/forgot-password').send({ email }).expect(200);
+      await waitUntil(() => sent.length >= expected);
+      return response;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(testUser);
+      sent = [];
+      setMailer({ send: async (message) => sent.push(message) });
+    });
+
+    test('should email a reset link', async () => {
+      await forgot();
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe(testUser.email);
+      expect(sent[0].text).toContain('/reset-password?token=');
+    });
+
+    test('should answer the same for unknown emails without sending mail', async () => {
+      const known = await forgot();
+      const unknown = await forgot('nobody@example.com');
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(sent).toHaveLength(1);
+    });
+
+    test('should answer the same when the reset email cannot be sent', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      setMailer({ send: async () => { throw new Error('SMTP unavailable'); } });
+
+      const known = await request(app).post('/api/auth/forgot-password').send({ email: testUser.email });
+      const unknown = await forgot('nobody@example.com');
+
+      expect(known.status).toBe(200);
+      expect(known.body.message).toBe(unknown.body.message);
+      await waitUntil(() => consoleError.mock.calls.length > 0);
+      consoleError.mockRestore();
+    });
+
+    test('should set the new password and retire the old one', async () => {
+      await forgot();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword })
+        .expect(200);
+
+      await login(testUser.password).expect(400);
+      await login(newPassword).expect(200);
+    });
+
+    test('should revoke access tokens issued before the reset', async () => {
+      const { accessToken } = (await login(testUser.password).expect(200)).body;
+      await forgot();
+      await nextSecond();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+    });
+
+    test('should store the new password hashed', async () => {
+      await forgot();
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword });
+
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.password).not.toBe(newPassword);
+      expect(user.password).toMatch(/^\$2[aby]\$/);
+    });
+
+    test('should accept each token only once', async () => {
+      await forgot();
+      const token = tokenFrom(sent[0]);
+
+      await request(app).post('/api/auth/reset-password').send({ token, password: newPassword }).expect(200);
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'Another789!' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    test('should only honour the latest link', async () => {
+      await forgot();
+      await forgot();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[1]), password: newPassword })
+        .expect(200);
+    });
+
+    test('should reject expired tokens', async () => {
+      await forgot();
+      await UserToken.updateMany({ purpose: 'reset_password' }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword })
+        .expect(400);
+    });
+
+    test('should require a new password without spending the token', async () => {
+      await forgot();
+      const token = tokenFrom(sent[0]);
+
+      const response = await request(app).post('/api/auth/reset-password').send({ token }).expect(400);
+      expect(response.body.message).toBe('Password required');
+
+      await request(app).post('/api/auth/reset-password').send({ token, password: newPassword }).expect(200);
+    });
+
+    test('should revoke every refresh token for the user', async () => {
+      const first = (await login(testUser.password).expect(200)).body;
+      await login(testUser.password).expect(200);
+
+      await forgot();
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: tokenFrom(sent[0]), password: newPassword })
+        .expect(200);
+
+      const live = await RefreshToken.countDocuments({ revokedAt: null });
+      expect(live).toBe(0);
+      await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(403);
+    });
+  });
+
+  describe('Account Lockout', () => {
+    const testUser = {
+      email: 'lockout@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Lockout',
+      lastName: 'Test',
+      role: 'driver'
+    };
+    let sent;
+
+    const attempt = (password = 'WrongPassword123!') =>
+      request(app).post('/api/auth/login').send({ email: testUser.email, password });
+
+    // Fails until the account locks, clearing each delay as it is set
+    const lockAccount = async () => {
+      let response;
+      for (let i = 0; i < lockoutConfig.account.maxAttempts; i++) {
+        await LoginAttempt.updateMany({ lockedUntil: null }, { retryAt: null });
+        response = await attempt();
+      }
+      return response;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(testUser);
+      // Only collect mail sent after the verification email
+      lockoutConfig.enabled = true;
+      sent = [];
+      setMailer({ send: async (message) => sent.push(message) });
+    });
+
+    afterEach(() => {
+      lockoutConfig.enabled = false;
+    });
+
+    test('should make the caller wait once past the free attempts', async () => {
+      for (let i = 0; i < lockoutConfig.account.freeAttempts + 1; i++) {
+        await attempt().expect(400);
+      }
+
+      const response = await attempt(testUser.password).expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(response.body.message).toBe('Too many failed attempts');
+      expect(response.body.accessToken).toBeUndefined();
+    });
+
+    test('should lock the account, refuse the right password and email the owner', async () => {
+      const lockResponse = await lockAccount();
+      expect(lockResponse.status).toBe(423);
+
+      const response = await attempt(testUser.password).expect(423);
+      expect(response.body.message).toBe('Account temporarily locked');
+      expect(response.body.accessToken).toBeUndefined();
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe(testUser.email);
+      expect(sent[0].text).toContain('/unlock-account?token=');
+    });
+
+    test('should keep the lockout in the database', async () => {
+      await lockAccount();
+
+      const record = await LoginAttempt.findOne({ key: `account:${testUser.email}` });
+      expect(record.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(record.unlockTokenHash).toBeDefined();
+    });
+
+    test('should lock unknown emails the same way without sending mail', async () => {
+      const attemptUnknown = () =>
+        request(app).post('/api/auth/login').send({ email: 'ghost@example.com', password: 'nope' });
+
+      for (let i = 0; i < lockoutConfig.account.maxAttempts; i++) {
+        await LoginAttempt.updateMany({ lockedUntil: null }, { retryAt: null });
+        await attemptUnknown();
+      }
+
+      await attemptUnknown().expect(423);
+      expect(sent).toHaveLength(0);
+    });
+
+    test('should unlock with the emailed token, once', async () => {
+      await lockAccount();
+      const token = new URL(sent[0].text.match(/http\S+/)[0]).searchParams.get('token');
+
+      await request(app).post('/api/auth/unlock-account').send({ token }).expect(200);
+      await attempt(testUser.password).expect(200);
+
+      const reused = await request(app).post('/api/auth/unlock-account').send({ token }).expect(400);
+      expect(reused.body.message).toBe('Invalid or expired unlock token');
+    });
+
+    test('should keep counting wrong codes when the password is entered again', async () => {
+      const { accessToken } = (await attempt(testUser.password).expect(200)).body;
+      const auth = `Bearer ${accessToken}`;
+      const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth).expect(200);
+      await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', auth)
+        .send({ code: totp(setup.body.secret) })
+        .expect(200);
+
+      let response;
+      for (let i = 0; i < lockoutConfig.account.maxAttempts; i++) {
+        await LoginAttempt.updateMany({ lockedUntil: null }, { retryAt: null });
+        const { challengeToken } = (await attempt(testUser.password).expect(200)).body;
+        response = await request(app)
+          .post('/api/auth/2fa/verify')
+          .send({ challengeToken, code: '000000' });
+      }
+
+      expect(response.status).toBe(423);
+      await attempt(testUser.password).expect(423);
+    });
+
+    test('should clear the account failures after a successful login', async () => {
+      await attempt();
+      await attempt(testUser.password).expect(200);
+
+      const record = await LoginAttempt.findOne({ key: `account:${testUser.email}` });
+      expect(record).toBeNull();
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should handle malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('Content-Type', 'application/json')
+        .send('{ invalid json }')
+        .expect(400);
+    });
+
+    test('should handle empty request body', async () => {
+      const response = await request(app).post('/api/auth/register').send({}).expect(500);
+    });
+  });
+
+  describe('Security Requirements', () => {
+    test('should not expose password in any response', async () => {
+      const userData = {
+        email: 'security@example.com',
+        password: 'SecurePassword123!',
+        firstName: 'Security',
+        lastName: 'Test',
+        role: 'driver'
+      };
+
+      const registerResponse = await request(app).post('/api/auth/register').send(userData);
+
+      expect(JSON.stringify(registerResponse.body)).not.toContain(userData.password);
+
+      const loginResponse = await request(app).post('/api/auth/login').send({
+        email: userData.email,
+        password: userData.password
+      });
+
+      expect(JSON.stringify(loginResponse.body)).not.toContain(userData.password);
+    });
+  });
+});
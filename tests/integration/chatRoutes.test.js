@@ -1,204 +1,848 @@
-/**
- * Integration Tests for Chat Routes
- * Tests LO3: Integration Testing
- *
- * Purpose: Test chat endpoints with database integration
- */
-
-const request = require('supertest');
-const express = require('express');
-const mongoose = require('mongoose');
-const chatRoutes = require('../../src/routes/chatRoutes');
-const ChatMessage = require('../../src/models/ChatMessage');
-
-describe('Chat Routes - Integration Tests', () => {
-  let app;
-
-  beforeAll(async () => {
-    // Connect to local MongoDB
-    await mongoose.connect('mongodb://localhost:27017/rsachat');
-
-    app = express();
-    app.use(express.json());
-    app.use('/api/chat', chatRoutes);
-  });
-
-  afterAll(async () => {
-    await mongoose.disconnect();
-  });
-
-  beforeEach(async () => {
-    await ChatMessage.deleteMany({});
-  });
-
-  describe('GET /api/chat/:roomId', () => {
-    test('should retrieve empty array for room with no messages', async () => {
-      const response = await request(app).get('/api/chat/room-empty').expect(200);
-
-      expect(response.body).toEqual([]);
-    });
-
-    test('should retrieve all messages for a specific room', async () => {
-      const roomId = 'room-123';
-
-      // Create test messages
-      const messages = [
-        { roomId, sender: 'user1', message: 'Hello' },
-        { roomId, sender: 'user2', message: 'Hi there' },
-        { roomId, sender: 'user1', message: 'How are you?' }
-      ];
-
-      await ChatMessage.insertMany(messages);
-
-      const response = await request(app).get(`/api/chat/${roomId}`).expect(200);
-
-      expect(response.body).toHaveLength(3);
-      expect(response.body[0].message).toBe('Hello');
-      expect(response.body[1].message).toBe('Hi there');
-      expect(response.body[2].message).toBe('How are you?');
-    });
-
-    test('should only return messages from specified room', async () => {
-      await ChatMessage.insertMany([
-        { roomId: 'room-A', sender: 'user1', message: 'Message in A' },
-        { roomId: 'room-B', sender: 'user2', message: 'Message in B' },
-        { roomId: 'room-A', sender: 'user3', message: 'Another in A' }
-      ]);
-
-      const response = await request(app).get('/api/chat/room-A').expect(200);
-
-      expect(response.body).toHaveLength(2);
-      expect(response.body.every((msg) => msg.roomId === 'room-A')).toBe(true);
-    });
-
-    test('should handle room IDs with special characters', async () => {
-      const specialRoomId = 'room-with-dashes_and_underscores';
-
-      await ChatMessage.create({
-        roomId: specialRoomId,
-        sender: 'user1',
-        message: 'Test message'
-      });
-
-      const response = await request(app).get(`/api/chat/${specialRoomId}`).expect(200);
-
-      expect(response.body).toHaveLength(1);
-      expect(response.body[0].roomId).toBe(specialRoomId);
-    });
-  });
-
-  describe('Message Data Integrity', () => {
-    test('should preserve unicode characters', async () => {
-      const roomId = 'room-unicode';
-      const unicodeMessage = 'Hello 世界 🌍 مرحبا';
-
-      await ChatMessage.create({
-        roomId,
-        sender: 'user1',
-        message: unicodeMessage
-      });
-
-      const response = await request(app).get(`/api/chat/${roomId}`).expect(200);
-
-      expect(response.body[0].message).toBe(unicodeMessage);
-    });
-
-    test('should handle very long messages', async () => {
-      const roomId = 'room-long';
-      const longMessage = 'A'.repeat(10000);
-
-      await ChatMessage.create({
-        roomId,
-        sender: 'user1',
-        message: longMessage
-      });
-
-      const response = await request(app).get(`/api/chat/${roomId}`).expect(200);
-
-      expect(response.body[0].message).toBe(longMessage);
-      expect(response.body[0].message.length).toBe(10000);
-    });
-  });
-
-  describe('Timestamp Handling', () => {
-    test('should automatically set timestamp if not provided', async () => {
-      const roomId = 'room-auto-timestamp';
-      const beforeCreation = Date.now();
-
-      await ChatMessage.create({
-        roomId,
-        sender: 'user1',
-        message: 'Auto timestamp test'
-      });
-
-      const afterCreation = Date.now();
-
-      const response = await request(app).get(`/api/chat/${roomId}`).expect(200);
-
-      const messageTimestamp = new Date(response.body[0].timestamp).getTime();
-      expect(messageTimestamp).toBeGreaterThanOrEqual(beforeCreation);
-      expect(messageTimestamp).toBeLessThanOrEqual(afterCreation);
-    });
-
-    test('should respect custom timestamps', async () => {
-      const roomId = 'room-custom-timestamp';
-      const customDate = new Date('2025-01-01T12:00:00Z');
-
-      await ChatMessage.create({
-        roomId,
-        sender: 'user1',
-        message: 'Custom timestamp',
-        timestamp: customDate
-      });
-
-      const response = await request(app).get(`/api/chat/${roomId}`).expect(200);
-
-      expect(new Date(response.body[0].timestamp)).toEqual(customDate);
-    });
-  });
-
-  describe('Performance', () => {
-    test('should retrieve messages quickly even with many in database', async () => {
-      // Create messages in multiple rooms
-      const rooms = ['room-1', 'room-2', 'room-3'];
-      const messagesPerRoom = 50;
-
-      for (const room of rooms) {
-        const messages = Array.from({ length: messagesPerRoom }, (_, i) => ({
-          roomId: room,
-          sender: `user${i}`,
-          message: `Message ${i}`
-        }));
-        await ChatMessage.insertMany(messages);
-      }
-
-      const startTime = Date.now();
-
-      await request(app).get('/api/chat/room-2').expect(200);
-
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-
-      // Should complete within 1 second
-      expect(duration).toBeLessThan(1000);
-    });
-
-    test('should handle database errors gracefully', async () => {
-      // Close database connection to simulate error
-      await mongoose.connection.close();
-
-      const response = await request(app).get('/api/chat/any-room').expect(500);
-
-      expect(response.body.error).toBe('Failed to fetch chat history');
-
-      // Reconnect for other tests and wait for ready state
-      if (mongoose.connection.readyState === 0) {
-        await mongoose.connect('mongodb://localhost:27017/rsachat');
-        // Wait for connection to be fully ready
-        while (mongoose.connection.readyState !== 1) {
-          await new Promise((resolve) => setTimeout(resolve, 50));
-        }
-      }
-    });
-  });
-});
+/**
+ * Integration Tests for Chat Routes
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test chat endpoints with database integration
+ */
+
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const chatRoutes = require('../../src/routes/chatRoutes');
+const ChatMessage = require('../../src/models/ChatMessage');
+const ChatRoom = require('../../src/models/ChatRoom');
+const RoomAccessLog = require('../../src/models/RoomAccessLog');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const { createTestUser, addParticipant } = require('../utils/authHelper');
+
+describe('Chat Routes - Integration Tests', () => {
+  let app;
+  let user;
+
+  // Fetches a room's history as a participant of that room
+  const fetchHistory = async (roomId) => {
+    await addParticipant(roomId, user);
+    return request(app).get(`/api/chat/${roomId}`).set('Authorization', user.authHeader).expect(200);
+  };
+
+  beforeAll(async () => {
+    // Connect to local MongoDB
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/chat', chatRoutes);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await ChatMessage.deleteMany({});
+    await ChatRoom.deleteMany({});
+    await RoomAccessLog.deleteMany({});
+    user = createTestUser();
+  });
+
+  describe('GET /api/chat/:roomId', () => {
+    test('should retrieve empty array for room with no messages', async () => {
+      const response = await fetchHistory('room-empty');
+
+      expect(response.body.messages).toEqual([]);
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    test('should retrieve all messages for a specific room', async () => {
+      const roomId = 'room-123';
+
+      // Create test messages
+      const messages = [
+        { roomId, sender: 'user1', message: 'Hello' },
+        { roomId, sender: 'user2', message: 'Hi there' },
+        { roomId, sender: 'user1', message: 'How are you?' }
+      ];
+
+      await ChatMessage.insertMany(messages);
+
+      const response = await fetchHistory(roomId);
+
+      expect(response.body.messages).toHaveLength(3);
+      expect(response.body.messages[0].message).toBe('Hello');
+      expect(response.body.messages[1].message).toBe('Hi there');
+      expect(response.body.messages[2].message).toBe('How are you?');
+    });
+
+    test('should only return messages from specified room', async () => {
+      await ChatMessage.insertMany([
+        { roomId: 'room-A', sender: 'user1', message: 'Message in A' },
+        { roomId: 'room-B', sender: 'user2', message: 'Message in B' },
+        { roomId: 'room-A', sender: 'user3', message: 'Another in A' }
+      ]);
+
+      const response = await fetchHistory('room-A');
+
+      expect(response.body.messages).toHaveLength(2);
+      expect(response.body.messages.every((msg) => msg.roomId === 'room-A')).toBe(true);
+    });
+
+    test('should handle room IDs with special characters', async () => {
+      const specialRoomId = 'room-with-dashes_and_underscores';
+
+      await ChatMessage.create({
+        roomId: specialRoomId,
+        sender: 'user1',
+        message: 'Test message'
+      });
+
+      const response = await fetchHistory(specialRoomId);
+
+      expect(response.body.messages).toHaveLength(1);
+      expect(response.body.messages[0].roomId).toBe(specialRoomId);
+    });
+  });
+
+  describe('Pagination', () => {
+    const roomId = 'room-paged';
+
+    // Seeds messages one second apart so their order is unambiguous
+    const seed = (count) =>
+      ChatMessage.insertMany(
+        Array.from({ length: count }, (_, i) => ({
+          roomId,
+          sender: 'user1',
+          message: `Message ${i}`,
+          timestamp: new Date(Date.UTC(2025, 0, 1, 12, 0, i))
+        }))
+      );
+
+    const fetchPage = async (query) => {
+      await addParticipant(roomId, user);
+      return request(app)
+        .get(`/api/chat/${roomId}`)
+        .query(query)
+        .set('Authorization', user.authHeader);
+    };
+
+    test('should return the newest page first in chronological order', async () => {
+      await seed(5);
+
+      const response = await fetchPage({ limit: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.messages.map((m) => m.message)).toEqual(['Message 3', 'Message 4']);
+      expect(response.body.nextCursor).toEqual(expect.any(String));
+    });
+
+    test('should page upwards with before until history is exhausted', async () => {
+      await seed(5);
+
+      const first = await fetchPage({ limit: 2 });
+      const second = await fetchPage({ limit: 2, before: first.body.nextCursor });
+      const third = await fetchPage({ limit: 2, before: second.body.nextCursor });
+
+      expect(second.body.messages.map((m) => m.message)).toEqual(['Message 1', 'Message 2']);
+      expect(third.body.messages.map((m) => m.message)).toEqual(['Message 0']);
+      expect(third.body.nextCursor).toBeNull();
+    });
+
+    test('should page forwards with after', async () => {
+      await seed(5);
+
+      const newest = await fetchPage({ limit: 3 });
+      const older = await fetchPage({ limit: 1, before: newest.body.nextCursor });
+      const newer = await fetchPage({ limit: 2, after: older.body.nextCursor });
+
+      expect(older.body.messages.map((m) => m.message)).toEqual(['Message 1']);
+      expect(newer.body.messages.map((m) => m.message)).toEqual(['Message 2', 'Message 3']);
+      expect(newer.body.nextCursor).toEqual(expect.any(String));
+    });
+
+    test('should keep messages with identical timestamps apart', async () => {
+      const timestamp = new Date('2025-01-01T12:00:00Z');
+      await ChatMessage.insertMany(
+        ['A', 'B', 'C'].map((message) => ({ roomId, sender: 'user1', message, timestamp }))
+      );
+
+      const first = await fetchPage({ limit: 2 });
+      const second = await fetchPage({ limit: 2, before: first.body.nextCursor });
+
+      const all = [...second.body.messages, ...first.body.messages].map((m) => m.message);
+      expect(all).toEqual(['A', 'B', 'C']);
+    });
+
+    test('should page in seq order when timestamps disagree', async () => {
+      // Concurrent senders can commit with timestamps out of seq order
+      await ChatMessage.insertMany(
+        [
+          { seq: 1, second: 2 },
+          { seq: 2, second: 0 },
+          { seq: 3, second: 3 },
+          { seq: 4, second: 1 }
+        ].map(({ seq, second }) => ({
+          roomId,
+          sender: 'user1',
+          message: `Seq ${seq}`,
+          seq,
+          timestamp: new Date(Date.UTC(2025, 0, 1, 12, 0, second))
+        }))
+      );
+
+      const first = await fetchPage({ limit: 2 });
+      const second = await fetchPage({ limit: 2, before: first.body.nextCursor });
+      const forward = await fetchPage({ limit: 3, after: second.body.nextCursor });
+
+      expect(first.body.messages.map((m) => m.seq)).toEqual([3, 4]);
+      expect(second.body.messages.map((m) => m.seq)).toEqual([1, 2]);
+      expect(forward.body.messages.map((m) => m.seq)).toEqual([2, 3, 4]);
+    });
+
+    test('should cap limit at the maximum page size', async () => {
+      await seed(1);
+
+      const response = await fetchPage({ limit: 5000 });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject invalid limit and cursor values', async () => {
+      expect((await fetchPage({ limit: 0 })).status).toBe(400);
+      expect((await fetchPage({ limit: 'ten' })).status).toBe(400);
+      expect((await fetchPage({ before: 'garbage' })).status).toBe(400);
+      expect((await fetchPage({ before: 'x', after: 'y' })).status).toBe(400);
+    });
+  });
+
+  describe('Sequence Numbers', () => {
+    const roomId = 'room-seq';
+
+    test('should assign increasing sequence numbers per room', async () => {
+      for (const message of ['One', 'Two', 'Three']) {
+        await ChatMessage.create({ roomId, sender: 'user1', message });
+      }
+      await ChatMessage.create({ roomId: 'room-seq-other', sender: 'user1', message: 'Other' });
+
+      const response = await fetchHistory(roomId);
+
+      expect(response.body.messages.map((m) => m.seq)).toEqual([1, 2, 3]);
+    });
+
+    test('should number bulk inserts consecutively in array order', async () => {
+      await ChatMessage.create({ roomId, sender: 'user1', message: 'First' });
+      const docs = await ChatMessage.insertMany([
+        { roomId, sender: 'user1', message: 'Second' },
+        { roomId, sender: 'user2', message: 'Third' }
+      ]);
+
+      expect(docs.map((d) => d.seq)).toEqual([2, 3]);
+    });
+
+    test('should not hand out the same number to concurrent saves', async () => {
+      await Promise.all(
+        Array.from({ length: 20 }, (_, i) =>
+          ChatMessage.create({ roomId, sender: 'user1', message: `Concurrent ${i}` })
+        )
+      );
+
+      const seqs = (await ChatMessage.find({ roomId })).map((m) => m.seq).sort((a, b) => a - b);
+      expect(seqs).toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+
+    test('should fetch an exact sequence range', async () => {
+      for (let i = 1; i <= 6; i++) {
+        await ChatMessage.create({ roomId, sender: 'user1', message: `Message ${i}` });
+      }
+      await addParticipant(roomId, user);
+
+      const response = await request(app)
+        .get(`/api/chat/${roomId}`)
+        .query({ fromSeq: 3, toSeq: 5 })
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      expect(response.body.messages.map((m) => m.seq)).toEqual([3, 4, 5]);
+      expect(response.body.missing).toEqual([]);
+    });
+
+    test('should report seqs lost to a failed insert as missing', async () => {
+      const send = (message) =>
+        new ChatMessage({ roomId, sender: 'user1', message, clientMessageId: 'retry-1' }).save();
+      await send('Original');
+      // A concurrent retry that passed the duplicate check still reserves a seq
+      await expect(send('Retry')).rejects.toMatchObject({ code: 11000 });
+      await ChatMessage.create({ roomId, sender: 'user1', message: 'Next' });
+      await addParticipant(roomId, user);
+
+      const response = await request(app)
+        .get(`/api/chat/${roomId}`)
+        .query({ fromSeq: 1 })
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      expect(response.body.messages.map((m) => m.seq)).toEqual([1, 3]);
+      expect(response.body.missing).toEqual([2]);
+    });
+
+    test('should number messages saved before seq existed and keep returning them', async () => {
+      const base = Date.now() - 60000;
+      // Written straight to the collection, as the server did before seq
+      await ChatMessage.collection.insertMany([
+        { roomId, sender: 'user1', message: 'Second', timestamp: new Date(base + 2000) },
+        { roomId, sender: 'user2', message: 'First', timestamp: new Date(base + 1000) },
+        { roomId, sender: 'user1', message: 'Third', timestamp: new Date(base + 3000), seq: null }
+      ]);
+
+      expect(await ChatMessage.backfillSeqs()).toBe(3);
+      await ChatMessage.create({ roomId, sender: 'user2', message: 'Fourth' });
+
+      const response = await fetchHistory(roomId);
+      expect(response.body.messages.map((m) => [m.seq, m.message])).toEqual([
+        [1, 'First'],
+        [2, 'Second'],
+        [3, 'Third'],
+        [4, 'Fourth']
+      ]);
+      expect(await ChatMessage.backfillSeqs()).toBe(0);
+    });
+
+    test("should number late unsequenced messages after the room's existing seqs", async () => {
+      await ChatMessage.create({ roomId, sender: 'user1', message: 'Numbered' });
+      await ChatMessage.collection.insertOne({ roomId, sender: 'user2', message: 'Legacy', timestamp: new Date() });
+
+      await ChatMessage.backfillSeqs(roomId);
+
+      const room = await ChatRoom.findOne({ roomId });
+      expect(room.lastSeq).toBe(2);
+      expect(room.lastMessage.preview).toBe('Legacy');
+      expect((await fetchHistory(roomId)).body.messages.map((m) => m.seq)).toEqual([1, 2]);
+    });
+
+    test('should reject invalid sequence ranges', async () => {
+      await addParticipant(roomId, user);
+      const fetchRange = (query) =>
+        request(app).get(`/api/chat/${roomId}`).query(query).set('Authorization', user.authHeader);
+
+      expect((await fetchRange({ toSeq: 5 })).status).toBe(400);
+      expect((await fetchRange({ fromSeq: 5, toSeq: 2 })).status).toBe(400);
+      expect((await fetchRange({ fromSeq: 'one' })).status).toBe(400);
+      expect((await fetchRange({ fromSeq: 1, before: 'x' })).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/chat/send', () => {
+    const roomId = 'room-rest';
+    let emit;
+
+    const send = (body, as = user) =>
+      request(app).post('/api/chat/send').set('Authorization', as.authHeader).send(body);
+
+    beforeEach(async () => {
+      emit = jest.fn();
+      app.set('io', { to: jest.fn(() => ({ emit })) });
+      await addParticipant(roomId, user);
+    });
+
+    afterEach(() => {
+      app.set('io', undefined);
+    });
+
+    test('should persist the message and broadcast it to the room', async () => {
+      const response = await send({ roomId, message: 'Caller confirmed location' }).expect(201);
+
+      expect(response.body).toMatchObject({
+        roomId,
+        sender: user.userId,
+        message: 'Caller confirmed location',
+        seq: 1,
+        duplicate: false
+      });
+      expect(await ChatMessage.countDocuments({ roomId })).toBe(1);
+      expect(emit).toHaveBeenCalledWith(
+        'receive_message',
+        expect.objectContaining({ message: 'Caller confirmed location', seq: 1 })
+      );
+    });
+
+    test('should ignore a client-supplied sender', async () => {
+      const response = await send({ roomId, sender: 'spoofed', message: 'Hi' }).expect(201);
+
+      expect(response.body.sender).toBe(user.userId);
+    });
+
+    test('should deduplicate retries without broadcasting again', async () => {
+      const body = { roomId, message: 'IVR callback', clientMessageId: 'ivr-42' };
+      const first = await send(body).expect(201);
+      const retry = await send(body).expect(200);
+
+      expect(retry.body).toMatchObject({ _id: first.body._id, duplicate: true });
+      expect(emit).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject invalid messages like the socket handler', async () => {
+      const response = await send({ roomId }).expect(400);
+
+      expect(response.body.code).toBe('INVALID_PAYLOAD');
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ field: 'message', rule: 'required' })
+      ]);
+      await send({ message: 'No room' }).expect(400);
+      await send({ roomId, message: 'x'.repeat(4001) }).expect(400);
+    });
+
+    test('should forbid non-participants', async () => {
+      await send({ roomId, message: 'Hi' }, createTestUser()).expect(403);
+
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Editing and Deleting Messages', () => {
+    const roomId = 'room-edit';
+    let sent;
+
+    const editRequest = (actor, messageId, message) =>
+      request(app)
+        .patch(`/api/chat/${roomId}/messages/${messageId}`)
+        .set('Authorization', actor.authHeader)
+        .send({ message });
+
+    const deleteRequest = (actor, messageId) =>
+      request(app)
+        .delete(`/api/chat/${roomId}/messages/${messageId}`)
+        .set('Authorization', actor.authHeader);
+
+    beforeEach(async () => {
+      await addParticipant(roomId, user);
+      sent = await ChatMessage.create({ roomId, sender: user.userId, message: 'ETA 10 min' });
+    });
+
+    test('should let the sender edit and keep the previous version', async () => {
+      const response = await editRequest(user, sent._id, 'ETA 20 min').expect(200);
+
+      expect(response.body.message).toBe('ETA 20 min');
+      expect(response.body.editedAt).toBeDefined();
+      expect(response.body.editHistory).toBeUndefined();
+
+      const stored = await ChatMessage.findById(sent._id);
+      expect(stored.editHistory.map((v) => v.message)).toEqual(['ETA 10 min']);
+    });
+
+    test('should replace deleted content with a tombstone', async () => {
+      await deleteRequest(user, sent._id).expect(200);
+
+      const history = await fetchHistory(roomId);
+      expect(history.body.messages[0]).toMatchObject({
+        deleted: true,
+        message: 'This message was deleted'
+      });
+      expect(JSON.stringify(history.body)).not.toContain('ETA 10 min');
+
+      const stored = await ChatMessage.findById(sent._id);
+      expect(stored.deletedAt).toBeDefined();
+      expect(stored.editHistory[0].message).toBe('ETA 10 min');
+    });
+
+    test('should not let other participants change the message', async () => {
+      const other = createTestUser('driver');
+      await addParticipant(roomId, other);
+
+      const response = await editRequest(other, sent._id, 'Hijacked').expect(403);
+
+      expect(response.body.code).toBe('FORBIDDEN');
+    });
+
+    test('should refuse changes after the edit window', async () => {
+      const old = await ChatMessage.create({
+        roomId,
+        sender: user.userId,
+        message: 'Old',
+        timestamp: new Date(Date.now() - 60 * 60 * 1000)
+      });
+
+      const response = await editRequest(user, old._id, 'New').expect(403);
+
+      expect(response.body.code).toBe('EDIT_WINDOW_EXPIRED');
+    });
+
+    test('should refuse to edit a deleted message', async () => {
+      await deleteRequest(user, sent._id).expect(200);
+
+      await editRequest(user, sent._id, 'Back again').expect(410);
+    });
+
+    test('should reject empty edits and unknown messages', async () => {
+      await editRequest(user, sent._id, '   ').expect(400);
+      await editRequest(user, new mongoose.Types.ObjectId(), 'x').expect(404);
+      await deleteRequest(user, 'not-an-id').expect(404);
+    });
+
+    test('should validate edits like the edit_message socket event', async () => {
+      const tooLong = await editRequest(user, sent._id, 'x'.repeat(4001)).expect(400);
+      expect(tooLong.body.code).toBe('INVALID_PAYLOAD');
+
+      expect((await editRequest(user, sent._id, 42)).body.code).toBe('INVALID_PAYLOAD');
+      expect((await editRequest(user, sent._id)).body.code).toBe('INVALID_PAYLOAD');
+      expect((await editRequest(user, 'not-an-id', 'x')).body.code).toBe('INVALID_PAYLOAD');
+
+      const stored = await ChatMessage.findById(sent._id);
+      expect(stored.message).toBe('ETA 10 min');
+    });
+  });
+
+  describe('GET /api/chat (inbox)', () => {
+    const fetchInbox = (query = {}) =>
+      request(app).get('/api/chat').query(query).set('Authorization', user.authHeader).expect(200);
+
+    test('should list only rooms the user participates in, newest activity first', async () => {
+      const other = createTestUser();
+      for (const roomId of ['room-a', 'room-b', 'room-c']) {
+        await addParticipant(roomId, user);
+      }
+      await addParticipant('room-other', other);
+
+      await ChatMessage.create({ roomId: 'room-b', sender: user.userId, message: 'First' });
+      await ChatMessage.create({ roomId: 'room-other', sender: other.userId, message: 'Hidden' });
+      await ChatMessage.create({ roomId: 'room-a', sender: other.userId, message: 'Latest' });
+
+      const response = await fetchInbox();
+      const roomIds = response.body.conversations.map((conversation) => conversation.roomId);
+
+      expect(roomIds.slice(0, 2)).toEqual(['room-a', 'room-b']);
+      expect(roomIds).toContain('room-c');
+      expect(roomIds).not.toContain('room-other');
+      expect(response.body.nextCursor).toBeNull();
+    });
+
+    test('should include the last message preview and unread count', async () => {
+      const driver = createTestUser('driver');
+      await addParticipant('room-preview', user);
+      await ChatMessage.create({ roomId: 'room-preview', sender: driver.userId, message: 'On my way' });
+      const latest = await ChatMessage.create({
+        roomId: 'room-preview',
+        sender: driver.userId,
+        message: 'x'.repeat(300)
+      });
+
+      const [conversation] = (await fetchInbox()).body.conversations;
+
+      expect(conversation.unread).toBe(2);
+      expect(conversation.lastMessage).toMatchObject({
+        _id: latest._id.toString(),
+        sender: driver.userId,
+        seq: 2,
+        deleted: false
+      });
+      expect(conversation.lastMessage.preview).toHaveLength(100);
+      expect(new Date(conversation.lastActivityAt)).toEqual(latest.timestamp);
+    });
+
+    test('should reflect edits and deletions of the last message', async () => {
+      await addParticipant('room-edited', user);
+      const sent = await ChatMessage.create({
+        roomId: 'room-edited',
+        sender: user.userId,
+        message: 'Wrong address'
+      });
+
+      await request(app)
+        .delete(`/api/chat/room-edited/messages/${sent._id}`)
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      const [conversation] = (await fetchInbox()).body.conversations;
+      expect(conversation.lastMessage).toMatchObject({
+        preview: 'This message was deleted',
+        deleted: true
+      });
+    });
+
+    test('should include the linked service request status', async () => {
+      const serviceRequest = await ServiceRequest.create({
+        customer: user.userId,
+        description: 'Flat tyre',
+        location: 'A1 northbound'
+      });
+      await addParticipant(serviceRequest.roomId, user);
+
+      const [conversation] = (await fetchInbox()).body.conversations;
+
+      expect(conversation.serviceRequest).toEqual({
+        _id: serviceRequest.roomId,
+        status: 'requested'
+      });
+      await ServiceRequest.deleteMany({});
+    });
+
+    test('should paginate with a cursor', async () => {
+      for (let i = 0; i < 5; i++) {
+        await addParticipant(`room-page-${i}`, user);
+        await ChatMessage.create({ roomId: `room-page-${i}`, sender: user.userId, message: `#${i}` });
+      }
+
+      const first = await fetchInbox({ limit: 3 });
+      const second = await fetchInbox({ limit: 3, before: first.body.nextCursor });
+
+      const roomIds = [...first.body.conversations, ...second.body.conversations].map(
+        (conversation) => conversation.roomId
+      );
+      expect(roomIds).toEqual([
+        'room-page-4',
+        'room-page-3',
+        'room-page-2',
+        'room-page-1',
+        'room-page-0'
+      ]);
+      expect(second.body.nextCursor).toBeNull();
+    });
+
+    test('should reject invalid cursors', async () => {
+      await request(app)
+        .get('/api/chat')
+        .query({ before: 'garbage' })
+        .set('Authorization', user.authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('Receipts and Unread Counts', () => {
+    const roomId = 'room-receipts';
+    let driver;
+
+    const markRead = (as, seq) =>
+      request(app).post(`/api/chat/${roomId}/read`).set('Authorization', as.authHeader).send({ seq });
+
+    beforeEach(async () => {
+      driver = createTestUser('driver');
+      await addParticipant(roomId, user);
+      await addParticipant(roomId, driver);
+      for (const message of ['On my way', 'Traffic is heavy', 'Five minutes out']) {
+        await ChatMessage.create({ roomId, sender: driver.userId, message });
+      }
+      await ChatMessage.create({ roomId, sender: user.userId, message: 'Thanks' });
+    });
+
+    test('should count unread messages from other participants', async () => {
+      const response = await request(app)
+        .get('/api/chat/unread')
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        rooms: [{ roomId, unread: 3, lastReadSeq: 0, lastSeq: 4 }],
+        total: 3
+      });
+    });
+
+    test('should mark everything up to a seq as read and delivered', async () => {
+      const response = await markRead(user, 2).expect(200);
+      expect(response.body).toEqual({
+        roomId,
+        userId: user.userId,
+        lastDeliveredSeq: 2,
+        lastReadSeq: 2
+      });
+
+      const unread = await request(app).get('/api/chat/unread').set('Authorization', user.authHeader);
+      expect(unread.body.rooms[0].unread).toBe(1);
+    });
+
+    test('should never move a watermark backwards', async () => {
+      await markRead(user, 3).expect(200);
+      const response = await markRead(user, 1).expect(200);
+
+      expect(response.body.lastReadSeq).toBe(3);
+    });
+
+    test('should reject seqs that do not exist in the room', async () => {
+      const response = await markRead(user, 99).expect(400);
+      expect(response.body.code).toBe('INVALID_SEQ');
+
+      await markRead(user, 'abc').expect(400);
+    });
+
+    test("should list every participant's receipts", async () => {
+      await markRead(driver, 4).expect(200);
+
+      const response = await request(app)
+        .get(`/api/chat/${roomId}/receipts`)
+        .set('Authorization', user.authHeader)
+        .expect(200);
+
+      expect(response.body.receipts).toEqual(
+        expect.arrayContaining([
+          { roomId, userId: user.userId, lastDeliveredSeq: 0, lastReadSeq: 0 },
+          { roomId, userId: driver.userId, lastDeliveredSeq: 4, lastReadSeq: 4 }
+        ])
+      );
+    });
+
+    test('should forbid non-participants', async () => {
+      const outsider = createTestUser();
+
+      await markRead(outsider, 1).expect(403);
+      await request(app)
+        .get(`/api/chat/${roomId}/receipts`)
+        .set('Authorization', outsider.authHeader)
+        .expect(403);
+    });
+  });
+
+  describe('Room Access Control', () => {
+    test('should require authentication', async () => {
+      await request(app).get('/api/chat/room-private').expect(401);
+    });
+
+    test('should forbid users who are not participants', async () => {
+      const outsider = createTestUser();
+      await addParticipant('room-private', user);
+      await ChatMessage.create({ roomId: 'room-private', sender: user.userId, message: 'Secret' });
+
+      const response = await request(app)
+        .get('/api/chat/room-private')
+        .set('Authorization', outsider.authHeader)
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden: you are not a participant in this room');
+      expect(JSON.stringify(response.body)).not.toContain('Secret');
+    });
+
+    test('should allow dispatchers added to the room', async () => {
+      const dispatcher = createTestUser('dispatcher');
+      await addParticipant('room-dispatch', dispatcher);
+
+      await request(app)
+        .get('/api/chat/room-dispatch')
+        .set('Authorization', dispatcher.authHeader)
+        .expect(200);
+    });
+
+    test('should record granted and denied access in the audit log', async () => {
+      const outsider = createTestUser();
+      await fetchHistory('room-audit');
+      await request(app).get('/api/chat/room-audit').set('Authorization', outsider.authHeader);
+
+      const logs = await RoomAccessLog.find({ roomId: 'room-audit' }).sort({ timestamp: 1 });
+      expect(logs).toHaveLength(2);
+      expect(logs[0]).toMatchObject({ userId: user.userId, granted: true });
+      expect(logs[1]).toMatchObject({ userId: outsider.userId, granted: false });
+    });
+  });
+
+  describe('Message Data Integrity', () => {
+    test('should preserve unicode characters', async () => {
+      const roomId = 'room-unicode';
+      const unicodeMessage = 'Hello 世界 🌍 مرحبا';
+
+      await ChatMessage.create({
+        roomId,
+        sender: 'user1',
+        message: unicodeMessage
+      });
+
+      const response = await fetchHistory(roomId);
+
+      expect(response.body.messages[0].message).toBe(unicodeMessage);
+    });
+
+    test('should handle very long messages', async () => {
+      const roomId = 'room-long';
+      const longMessage = 'A'.repeat(10000);
+
+      await ChatMessage.create({
+        roomId,
+        sender: 'user1',
+        message: longMessage
+      });
+
+      const response = await fetchHistory(roomId);
+
+      expect(response.body.messages[0].message).toBe(longMessage);
+      expect(response.body.messages[0].message.length).toBe(10000);
+    });
+  });
+
+  describe('Timestamp Handling', () => {
+    test('should automatically set timestamp if not provided', async () => {
+      const roomId = 'room-auto-timestamp';
+      const beforeCreation = Date.now();
+
+      await ChatMessage.create({
+        roomId,
+        sender: 'user1',
+        message: 'Auto timestamp test'
+      });
+
+      const afterCreation = Date.now();
+
+      const response = await fetchHistory(roomId);
+
+      const messageTimestamp = new Date(response.body.messages[0].timestamp).getTime();
+      expect(messageTimestamp).toBeGreaterThanOrEqual(beforeCreation);
+      expect(messageTimestamp).toBeLessThanOrEqual(afterCreation);
+    });
+
+    test('should respect custom timestamps', async () => {
+      const roomId = 'room-custom-timestamp';
+      const customDate = new Date('2025-01-01T12:00:00Z');
+
+      await ChatMessage.create({
+        roomId,
+        sender: 'user1',
+        message: 'Custom timestamp',
+        timestamp: customDate
+      });
+
+      const response = await fetchHistory(roomId);
+
+      expect(new Date(response.body.messages[0].timestamp)).toEqual(customDate);
+    });
+  });
+
+  describe('Performance', () => {
+    test('should retrieve messages quickly even with many in database', async () => {
+      // Create messages in multiple rooms
+      const rooms = ['room-1', 'room-2', 'room-3'];
+      const messagesPerRoom = 50;
+
+      for (const room of rooms) {
+        const messages = Array.from({ length: messagesPerRoom }, (_, i) => ({
+          roomId: room,
+          sender: `user${i}`,
+          message: `Message ${i}`
+        }));
+        await ChatMessage.insertMany(messages);
+      }
+
+      const startTime = Date.now();
+
+      await fetchHistory('room-2');
+
+      const endTime = Date.now();
+      const duration = endTime - startTime;
+
+      // Should complete within 1 second
+      expect(duration).toBeLessThan(1000);
+    });
+
+    test('should handle database errors gracefully', async () => {
+      // Close database connection to simulate error
+      await mongoose.connection.close();
+
+      const response = await request(app)
+        .get('/api/chat/any-room')
+        .set('Authorization', user.authHeader)
+        .expect(500);
+
+      expect(response.body.error).toBe('Failed to fetch chat history');
+
+      // Reconnect for other tests and wait for ready state
+      if (mongoose.connection.readyState === 0) {
+        await mongoose.connect('mongodb://localhost:27017/rsachat');
+        // Wait for connection to be fully ready
+        while (mongoose.connection.readyState !== 1) {
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Integration Tests for Service Request Routes
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test the service request lifecycle and its chat room with database integration
+ */
+
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const serviceRequestRoutes = require('../../src/routes/serviceRequestRoutes');
+const ServiceRequest = require('../../src/models/ServiceRequest');
+const ChatRoom = require('../../src/models/ChatRoom');
+const User = require('../../src/models/User');
+const { createTestUser } = require('../utils/authHelper');
+
+describe('Service Request Routes - Integration Tests', () => {
+  let app;
+  let io;
+  let customer;
+  let driver;
+  let dispatcher;
+
+  // Stores a user document so lookups by ID succeed
+  const persist = (testUser) =>
+    User.create({
+      _id: testUser.userId,
+      email: `${testUser.userId}@example.com`,
+      password: 'hashed',
+      firstName: 'Test',
+      lastName: testUser.role,
+      role: testUser.role
+    });
+
+  const createServiceRequest = async () => {
+    const response = await request(app)
+      .post('/api/service-requests')
+      .set('Authorization', customer.authHeader)
+      .send({ description: 'Flat tyre', location: 'A1 northbound, junction 4' })
+      .expect(201);
+    return response.body;
+  };
+
+  const assign = (id, driverId = driver.userId) =>
+    request(app)
+      .patch(`/api/service-requests/${id}/assign`)
+      .set('Authorization', dispatcher.authHeader)
+      .send({ driverId });
+
+  const setStatus = (id, actor, status) =>
+    request(app)
+      .patch(`/api/service-requests/${id}/status`)
+      .set('Authorization', actor.authHeader)
+      .send({ status });
+
+  beforeAll(async () => {
+    // Connect to local MongoDB
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/service-requests', serviceRequestRoutes);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await ServiceRequest.deleteMany({});
+    await ChatRoom.deleteMany({});
+    await User.deleteMany({});
+
+    customer = createTestUser('customer');
+    driver = createTestUser('driver');
+    dispatcher = createTestUser('dispatcher');
+    await Promise.all([persist(customer), persist(driver), persist(dispatcher)]);
+
+    // Capture broadcasts instead of running a Socket.IO server
+    const emit = jest.fn();
+    const socketsLeave = jest.fn();
+    io = { to: jest.fn(() => ({ emit })), emit, in: jest.fn(() => ({ socketsLeave })), socketsLeave };
+    app.set('io', io);
+  });
+
+  describe('POST /api/service-requests', () => {
+    test('should create a request with its own chat room', async () => {
+      const serviceRequest = await createServiceRequest();
+
+      expect(serviceRequest.status).toBe('requested');
+      expect(serviceRequest.roomId).toBe(serviceRequest._id);
+
+      const room = await ChatRoom.findOne({ roomId: serviceRequest.roomId });
+      expect(room.participants).toHaveLength(1);
+      expect(room.participants[0].userId.toString()).toBe(customer.userId);
+    });
+
+    test('should reject missing fields', async () => {
+      await request(app)
+        .post('/api/service-requests')
+        .set('Authorization', customer.authHeader)
+        .send({ description: 'No location' })
+        .expect(400);
+    });
+
+    test('should only allow customers to create requests', async () => {
+      await request(app)
+        .post('/api/service-requests')
+        .set('Authorization', driver.authHeader)
+        .send({ description: 'Flat tyre', location: 'Somewhere' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/service-requests/:id', () => {
+    test('should return the request to its customer', async () => {
+      const { _id } = await createServiceRequest();
+
+      const response = await request(app)
+        .get(`/api/service-requests/${_id}`)
+        .set('Authorization', customer.authHeader)
+        .expect(200);
+
+      expect(response.body.description).toBe('Flat tyre');
+    });
+
+    test('should hide the request from uninvolved users', async () => {
+      const { _id } = await createServiceRequest();
+
+      await request(app)
+        .get(`/api/service-requests/${_id}`)
+        .set('Authorization', createTestUser('customer').authHeader)
+        .expect(404);
+    });
+
+    test('should return 404 for malformed IDs', async () => {
+      await request(app)
+        .get('/api/service-requests/not-an-id')
+        .set('Authorization', customer.authHeader)
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/service-requests/:id/assign', () => {
+    test('should assign a driver and add them to the chat room', async () => {
+      const { _id } = await createServiceRequest();
+
+      const response = await assign(_id).expect(200);
+
+      expect(response.body.status).toBe('assigned');
+      expect(response.body.driver).toBe(driver.userId);
+
+      const room = await ChatRoom.findOne({ roomId: _id });
+      const members = room.participants.map((p) => `${p.role}:${p.userId}`);
+      expect(members).toContain(`driver:${driver.userId}`);
+      expect(members).toContain(`dispatcher:${dispatcher.userId}`);
+    });
+
+    test('should remove the previous driver on reassignment', async () => {
+      const { _id } = await createServiceRequest();
+      const otherDriver = createTestUser('driver');
+      await persist(otherDriver);
+
+      await assign(_id).expect(200);
+      await assign(_id, otherDriver.userId).expect(200);
+
+      const room = await ChatRoom.findOne({ roomId: _id });
+      const driverIds = room.participants
+        .filter((p) => p.role === 'driver')
+        .map((p) => p.userId.toString());
+      expect(driverIds).toEqual([otherDriver.userId]);
+    });
+
+    test("should remove the previous driver's sockets from the room", async () => {
+      const { _id } = await createServiceRequest();
+      const otherDriver = createTestUser('driver');
+      await persist(otherDriver);
+
+      await assign(_id).expect(200);
+      expect(io.socketsLeave).not.toHaveBeenCalled();
+      await assign(_id, otherDriver.userId).expect(200);
+
+      expect(io.in).toHaveBeenCalledWith(`user:${driver.userId}`);
+      expect(io.socketsLeave).toHaveBeenCalledWith(_id);
+    });
+
+    test('should reject users that are not drivers', async () => {
+      const { _id } = await createServiceRequest();
+
+      await assign(_id, customer.userId).expect(400);
+    });
+
+    test('should only allow dispatchers to assign', async () => {
+      const { _id } = await createServiceRequest();
+
+      await request(app)
+        .patch(`/api/service-requests/${_id}/assign`)
+        .set('Authorization', customer.authHeader)
+        .send({ driverId: driver.userId })
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/service-requests/:id/status', () => {
+    test('should walk through the full lifecycle', async () => {
+      const { _id } = await createServiceRequest();
+      await assign(_id).expect(200);
+
+      await setStatus(_id, driver, 'en_route').expect(200);
+      await setStatus(_id, driver, 'on_site').expect(200);
+      const response = await setStatus(_id, driver, 'completed').expect(200);
+
+      expect(response.body.status).toBe('completed');
+      expect(response.body.statusHistory.map((h) => h.status)).toEqual([
+        'requested',
+        'assigned',
+        'en_route',
+        'on_site',
+        'completed'
+      ]);
+    });
+
+    test('should reject invalid transitions', async () => {
+      const { _id } = await createServiceRequest();
+      await assign(_id).expect(200);
+
+      const response = await setStatus(_id, driver, 'completed').expect(409);
+
+      expect(response.body.message).toBe('Cannot move a request from assigned to completed');
+    });
+
+    test('should reject unknown statuses', async () => {
+      const { _id } = await createServiceRequest();
+
+      await setStatus(_id, customer, 'teleported').expect(400);
+    });
+
+    test('should let the customer cancel but not progress the job', async () => {
+      const { _id } = await createServiceRequest();
+      await assign(_id).expect(200);
+
+      await setStatus(_id, customer, 'en_route').expect(403);
+      await setStatus(_id, customer, 'cancelled').expect(200);
+      await setStatus(_id, customer, 'cancelled').expect(409);
+    });
+
+    test('should broadcast every change to the request room', async () => {
+      const { _id } = await createServiceRequest();
+      await assign(_id).expect(200);
+      await setStatus(_id, driver, 'en_route').expect(200);
+
+      expect(io.to).toHaveBeenCalledWith(_id);
+      expect(io.emit).toHaveBeenLastCalledWith(
+        'service_request_updated',
+        expect.objectContaining({ requestId: expect.anything(), roomId: _id, status: 'en_route' })
+      );
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Integration Tests for User Routes
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test profile and session management endpoints with database integration
+ */
+
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const authRoutes = require('../../src/routes/authRoutes');
+const userRoutes = require('../../src/routes/userRoutes');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const RevokedToken = require('../../src/models/RevokedToken');
+const { createTestUser } = require('../utils/authHelper');
+
+describe('User Routes - Integration Tests', () => {
+  let app;
+
+  const testUser = {
+    email: 'sessions@example.com',
+    password: 'TestPassword123!',
+    firstName: 'Session',
+    lastName: 'Test',
+    role: 'driver'
+  };
+
+  const login = async (userAgent) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: testUser.email, password: testUser.password })
+      .expect(200);
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    // Connect to local MongoDB
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/api/users', userRoutes);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await request(app).post('/api/auth/register').send(testUser);
+  });
+
+  describe('GET /api/users/me', () => {
+    test('should return profile without password', async () => {
+      const { accessToken } = await login('Phone');
+
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.email).toBe(testUser.email);
+      expect(response.body.password).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/users/me/sessions', () => {
+    test('should list one session per device', async () => {
+      const phone = await login('Phone');
+      await login('Depot Tablet');
+
+      const response = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+      expect(response.body.map((s) => s.userAgent).sort()).toEqual(['Depot Tablet', 'Phone']);
+      expect(response.body.every((s) => s.lastUsedAt && s.ip !== undefined)).toBe(true);
+      expect(response.body.filter((s) => s.current)).toHaveLength(1);
+    });
+
+    test('should keep a session as one entry after rotation', async () => {
+      const phone = await login('Phone');
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .set('User-Agent', 'Phone')
+        .send({ refreshToken: phone.refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${rotated.body.accessToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].current).toBe(true);
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/users/me/sessions').expect(401);
+    });
+  });
+
+  describe('DELETE /api/users/me/sessions/:sessionId', () => {
+    test('should revoke another device session', async () => {
+      const phone = await login('Phone');
+      const tablet = await login('Depot Tablet');
+
+      const sessions = await request(app)
+        .get('/api/users/me/sessions')
+        .set('Authorization', `Bearer ${phone.accessToken}`);
+      const tabletSession = sessions.body.find((s) => s.userAgent === 'Depot Tablet');
+
+      await request(app)
+        .delete(`/api/users/me/sessions/${tabletSession.id}`)
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tablet.refreshToken })
+        .expect(403);
+    });
+
+    test("should stop the revoked session's access token at once", async () => {
+      const phone = await login('Phone');
+      const tablet = await login('Depot Tablet');
+      const { sid } = jwt.decode(tablet.accessToken);
+
+      await request(app)
+        .delete(`/api/users/me/sessions/${sid}`)
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${tablet.accessToken}`)
+        .expect(401);
+      expect(response.body.message).toBe('Token revoked');
+      await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${phone.accessToken}`)
+        .expect(200);
+    });
+
+    test('should return 404 for unknown session', async () => {
+      const { accessToken } = await login('Phone');
+
+      const response = await request(app)
+        .delete('/api/users/me/sessions/unknown-session')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Session not found');
+    });
+  });
+
+  describe('POST /api/users/:userId/unlock', () => {
+    let user;
+
+    beforeEach(async () => {
+      await LoginAttempt.deleteMany({});
+      user = await User.findOne({ email: testUser.email });
+      await LoginAttempt.create({
+        key: `account:${testUser.email}`,
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+        retryAt: new Date(Date.now() + 60 * 1000)
+      });
+    });
+
+    test('should let a dispatcher lift a lockout', async () => {
+      const dispatcher = createTestUser('dispatcher');
+
+      await request(app)
+        .post(`/api/users/${user._id}/unlock`)
+        .set('Authorization', dispatcher.authHeader)
+        .expect(200);
+
+      expect(await LoginAttempt.findOne({ key: `account:${testUser.email}` })).toBeNull();
+    });
+
+    test('should refuse other roles', async () => {
+      const customer = createTestUser('customer');
+
+      await request(app)
+        .post(`/api/users/${user._id}/unlock`)
+        .set('Authorization', customer.authHeader)
+        .expect(403);
+    });
+
+    test('should return 404 for an unknown user', async () => {
+      const dispatcher = createTestUser('dispatcher');
+
+      await request(app)
+        .post(`/api/users/${createTestUser().userId}/unlock`)
+        .set('Authorization', dispatcher.authHeader)
+        .expect(404);
+    });
+
+    test('should return 404 for a malformed user ID', async () => {
+      const dispatcher = createTestUser('dispatcher');
+
+      const response = await request(app)
+        .post('/api/users/not-an-id/unlock')
+        .set('Authorization', dispatcher.authHeader)
+        .expect(404);
+      expect(response.body.message).toBe('User not found');
+    });
+  });
+
+  describe('POST /api/users/:userId/revoke-tokens', () => {
+    let user;
+
+    beforeEach(async () => {
+      await RevokedToken.deleteMany({});
+      user = await User.findOne({ email: testUser.email });
+    });
+
+    test('should let a dispatcher sign a user out everywhere', async () => {
+      const dispatcher = createTestUser('dispatcher');
+      const { accessToken, refreshToken } = await login('Phone');
+      // User-wide revocations only cover tokens issued in an earlier second
+      await new Promise((resolve) => setTimeout(resolve, 1000 - (Date.now() % 1000)));
+
+      const response = await request(app)
+        .post(`/api/users/${user._id}/revoke-tokens`)
+        .set('Authorization', dispatcher.authHeader)
+        .expect(200);
+
+      expect(response.body).toEqual({ message: 'Tokens revoked', revokedSessions: 1 });
+      const profile = await request(app)
+        .get('/api/users/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+      expect(profile.body.message).toBe('Token revoked');
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(403);
+    });
+
+    test('should refuse other roles', async () => {
+      const customer = createTestUser('customer');
+
+      await request(app)
+        .post(`/api/users/${user._id}/revoke-tokens`)
+        .set('Authorization', customer.authHeader)
+        .expect(403);
+    });
+
+    test('should return 404 for an unknown user', async () => {
+      const dispatcher = createTestUser('dispatcher');
+
+      await request(app)
+        .post(`/api/users/${createTestUser().userId}/revoke-tokens`)
+        .set('Authorization', dispatcher.authHeader)
+        .expect(404);
+    });
+
+    test('should return 404 for a malformed user ID', async () => {
+      const dispatcher = createTestUser('dispatcher');
+
+      const response = await request(app)
+        .post('/api/users/not-an-id/revoke-tokens')
+        .set('Authorization', dispatcher.authHeader)
+        .expect(404);
+      expect(response.body.message).toBe('User not found');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Integration Tests for Well-Known Routes
+ * Tests LO3: Integration Testing
+ *
+ * Purpose: Test that the published key set verifies the access tokens we issue
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const wellKnownRoutes = require('../../src/routes/wellKnownRoutes');
+const { generateAccessToken } = require('../../src/utils/generateToken');
+const { createKeySet, generateKey, setKeySet } = require('../../src/utils/signingKeys');
+
+describe('Well-Known Routes - Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/.well-known', wellKnownRoutes);
+  });
+
+  afterEach(() => {
+    setKeySet(undefined);
+  });
+
+  describe('GET /.well-known/jwks.json', () => {
+    test('should publish public signing keys with caching headers', async () => {
+      const response = await request(app).get('/.well-known/jwks.json').expect(200);
+
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      expect(response.body.keys.length).toBeGreaterThan(0);
+      response.body.keys.forEach((key) => {
+        expect(key.kid).toBeDefined();
+        expect(key.use).toBe('sig');
+        expect(key.d).toBeUndefined();
+      });
+    });
+
+    test('should let a downstream service verify an access token', async () => {
+      const token = generateAccessToken({ id: 'user123', role: 'driver' });
+
+      const { body } = await request(app).get('/.well-known/jwks.json').expect(200);
+      const { kid } = jwt.decode(token, { complete: true }).header;
+      const jwk = body.keys.find((key) => key.kid === kid);
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+      expect(jwt.verify(token, publicKey, { algorithms: [jwk.alg] }).id).toBe('user123');
+    });
+
+    test('should publish both keys during a rotation', async () => {
+      const previous = generateKey();
+      const next = generateKey();
+      setKeySet(createKeySet([previous, next], { activeKid: next.kid }));
+
+      const { body } = await request(app).get('/.well-known/jwks.json').expect(200);
+
+      expect(body.keys.map((key) => key.kid)).toEqual([previous.kid, next.kid]);
+    });
+  });
+});
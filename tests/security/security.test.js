@@ -1,339 +1,348 @@
-/**
- * Security Tests
- * Tests LO3 & LO4: Non-functional Testing - Security
- *
- * Purpose: Validate security requirements and identify vulnerabilities
- */
-
-const request = require('supertest');
-const express = require('express');
-const jwt = require('jsonwebtoken');
-const mongoose = require('mongoose');
-const authRoutes = require('../../src/routes/authRoutes');
-const authMiddleware = require('../../src/middleware/authMiddleware');
-const User = require('../../src/models/User');
-
-describe('Security Tests', () => {
-  let app;
-
-  beforeAll(async () => {
-    // Connect to local MongoDB
-    await mongoose.connect('mongodb://localhost:27017/rsachat');
-
-    app = express();
-    app.use(express.json());
-    app.use('/api/auth', authRoutes);
-
-    // Protected route for testing
-    app.get('/api/protected', authMiddleware, (req, res) => {
-      res.json({ message: 'Access granted', user: req.user });
-    });
-  });
-
-  afterAll(async () => {
-    await mongoose.disconnect();
-  });
-
-  beforeEach(async () => {
-    await User.deleteMany({});
-  });
-
-  describe('Authentication Security', () => {
-    test('should reject access without token', async () => {
-      const response = await request(app).get('/api/protected').expect(401);
-
-      expect(response.body.message).toBe('Unauthorized');
-    });
-
-    test('should reject expired tokens', async () => {
-      const expiredToken = jwt.sign({ id: 'user123' }, process.env.JWT_SECRET, {
-        expiresIn: '-1h'
-      });
-
-      const response = await request(app)
-        .get('/api/protected')
-        .set('Authorization', `Bearer ${expiredToken}`)
-        .expect(403);
-
-      expect(response.body.message).toBe('Invalid token');
-    });
-
-    test('should reject tokens with invalid signature', async () => {
-      const token = jwt.sign({ id: 'user123' }, 'wrong-secret');
-
-      const response = await request(app)
-        .get('/api/protected')
-        .set('Authorization', `Bearer ${token}`)
-        .expect(403);
-    });
-
-    test('should prevent token algorithm confusion (none algorithm)', async () => {
-      const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64');
-      const payload = Buffer.from(JSON.stringify({ id: 'user123' })).toString('base64');
-      const noneToken = `${header}.${payload}.`;
-
-      const response = await request(app)
-        .get('/api/protected')
-        .set('Authorization', `Bearer ${noneToken}`)
-        .expect(403);
-    });
-
-    test('should validate token tampering attempts', async () => {
-      const validToken = jwt.sign({ id: 'user123' }, process.env.JWT_SECRET);
-
-      // Decode and modify payload
-      const parts = validToken.split('.');
-      const modifiedPayload = Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64');
-      const tamperedToken = `${parts[0]}.${modifiedPayload}.${parts[2]}`;
-
-      await request(app)
-        .get('/api/protected')
-        .set('Authorization', `Bearer ${tamperedToken}`)
-        .expect(403);
-    });
-  });
-
-  describe('Password Security', () => {
-    test('should not expose password in any API response', async () => {
-      const userData = {
-        email: 'nopassword@test.com',
-        password: 'SecretPassword123',
-        firstName: 'Test',
-        lastName: 'User',
-        role: 'driver'
-      };
-
-      const registerResponse = await request(app).post('/api/auth/register').send(userData);
-
-      expect(JSON.stringify(registerResponse.body)).not.toContain(userData.password);
-
-      const loginResponse = await request(app)
-        .post('/api/auth/login')
-        .send({ email: userData.email, password: userData.password });
-
-      expect(JSON.stringify(loginResponse.body)).not.toContain(userData.password);
-    });
-
-    test('should enforce minimum password complexity', async () => {
-      const weakPasswords = ['123', 'abc', '', '   '];
-
-      // Note: Current implementation doesn't validate password strength
-      // This test documents the limitation
-      for (const password of weakPasswords) {
-        const userData = {
-          email: `weak${password.length}@test.com`,
-          password,
-          firstName: 'Weak',
-          lastName: 'Password',
-          role: 'driver'
-        };
-
-        // Currently accepts weak passwords - security vulnerability
-        await request(app).post('/api/auth/register').send(userData);
-      }
-    });
-  });
-
-  describe('Input Validation & Injection Prevention', () => {
-    test('should sanitize email input', async () => {
-      const maliciousEmails = [
-        '<script>alert("xss")</script>@test.com',
-        'test@<script>alert("xss")</script>.com',
-        'javascript:alert(1)@test.com'
-      ];
-
-      for (const email of maliciousEmails) {
-        const userData = {
-          email,
-          password: 'Password123',
-          firstName: 'Test',
-          lastName: 'User',
-          role: 'driver'
-        };
-
-        await request(app).post('/api/auth/register').send(userData);
-      }
-    });
-
-    test('should handle extremely long inputs without crashing', async () => {
-      const longString = 'A'.repeat(100000);
-
-      const userData = {
-        email: `${longString}@test.com`,
-        password: longString,
-        firstName: longString,
-        lastName: longString,
-        role: 'driver'
-      };
-
-      // Should handle without crashing (may fail validation)
-      await request(app).post('/api/auth/register').send(userData);
-    });
-
-    test('should prevent email enumeration', async () => {
-      // Register a user
-      await request(app).post('/api/auth/register').send({
-        email: 'exists@test.com',
-        password: 'Password123',
-        firstName: 'Exists',
-        lastName: 'User',
-        role: 'driver'
-      });
-
-      // Try to login with wrong password
-      const wrongPasswordResponse = await request(app)
-        .post('/api/auth/login')
-        .send({ email: 'exists@test.com', password: 'WrongPassword' })
-        .expect(400);
-
-      // Try to login with non-existent email
-      const noEmailResponse = await request(app)
-        .post('/api/auth/login')
-        .send({ email: 'notexists@test.com', password: 'AnyPassword' })
-        .expect(400);
-
-      // Both should return same generic message to prevent enumeration
-      expect(wrongPasswordResponse.body.message).toBe('Invalid credentials');
-      expect(noEmailResponse.body.message).toBe('Invalid credentials');
-    });
-  });
-
-  describe('Rate Limiting & Brute Force Protection', () => {
-    test('should handle rapid sequential login attempts', async () => {
-      // Create user first
-      await request(app).post('/api/auth/register').send({
-        email: 'brute@test.com',
-        password: 'CorrectPassword123',
-        firstName: 'Brute',
-        lastName: 'Force',
-        role: 'driver'
-      });
-
-      // Attempt multiple logins rapidly
-      const attempts = 20;
-      const promises = [];
-
-      for (let i = 0; i < attempts; i++) {
-        promises.push(
-          request(app)
-            .post('/api/auth/login')
-            .send({ email: 'brute@test.com', password: 'WrongPassword' })
-        );
-      }
-
-      const results = await Promise.all(promises);
-
-      // All should fail (no rate limiting currently implemented)
-      // This test documents the limitation
-      results.forEach((res) => {
-        expect(res.status).toBe(400);
-      });
-    });
-  });
-
-  describe('Authorization & Access Control', () => {
-    test('should not allow user to access resources without authentication', async () => {
-      await request(app).get('/api/protected').expect(401);
-    });
-
-    test('should validate token on every protected request', async () => {
-      const token = jwt.sign({ id: 'user123' }, process.env.JWT_SECRET, {
-        expiresIn: '1s'
-      });
-
-      // First request should work
-      await request(app).get('/api/protected').set('Authorization', `Bearer ${token}`).expect(200);
-
-      // Wait for token to expire
-      await new Promise((resolve) => setTimeout(resolve, 1500));
-
-      // Second request should fail
-      await request(app).get('/api/protected').set('Authorization', `Bearer ${token}`).expect(403);
-    });
-  });
-
-  describe('Session Security', () => {
-    test('should use different secrets for access and refresh tokens', async () => {
-      const payload = { id: 'user123' };
-
-      const accessToken = jwt.sign(payload, process.env.JWT_SECRET);
-      const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET);
-
-      // Access token should fail with refresh secret
-      expect(() => {
-        jwt.verify(accessToken, process.env.JWT_REFRESH_SECRET);
-      }).toThrow();
-
-      // Refresh token should fail with access secret
-      expect(() => {
-        jwt.verify(refreshToken, process.env.JWT_SECRET);
-      }).toThrow();
-    });
-
-    test('should have appropriate token expiry times', async () => {
-      const payload = { id: 'user123', role: 'driver' };
-
-      const accessToken = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: '15m'
-      });
-      const accessDecoded = jwt.decode(accessToken);
-
-      const expiryTime = accessDecoded.exp - accessDecoded.iat;
-      expect(expiryTime).toBe(900); // 15 minutes
-    });
-  });
-
-  describe('Data Exposure', () => {
-    test('should not leak sensitive information in error messages', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .send({ email: 'test@test.com', password: 'wrong' })
-        .expect(400);
-
-      // Should not reveal whether email exists
-      expect(response.body.message).not.toContain('password');
-      expect(response.body.message).not.toContain('email not found');
-    });
-
-    test('should not expose internal server details in errors', async () => {
-      // Close database to cause error
-      await mongoose.connection.close();
-
-      const response = await request(app)
-        .post('/api/auth/register')
-        .send({
-          email: 'error@test.com',
-          password: 'Password123',
-          firstName: 'Error',
-          lastName: 'Test',
-          role: 'driver'
-        })
-        .expect(500);
-
-      // Should return generic error, not database connection details
-      expect(response.body.message).toBe('Server error');
-      expect(JSON.stringify(response.body)).not.toContain('mongoose');
-      expect(JSON.stringify(response.body)).not.toContain('connection');
-
-      // Reconnect for other tests
-      await mongoose.connect('mongodb://localhost:27017/rsachat');
-    });
-  });
-
-  describe('CORS & Headers Security', () => {
-    test('should handle requests without origin header', async () => {
-      await request(app)
-        .post('/api/auth/login')
-        .send({ email: 'test@test.com', password: 'password' })
-        .expect(400);
-    });
-
-    test('should process JSON content type correctly', async () => {
-      const response = await request(app)
-        .post('/api/auth/login')
-        .set('Content-Type', 'application/json')
-        .send(JSON.stringify({ email: 'test@test.com', password: 'password' }))
-        .expect(400);
-    });
-  });
-});
+/**
+ * Security Tests
+ * Tests LO3 & LO4: Non-functional Testing - Security
+ *
+ * Purpose: Validate security requirements and identify vulnerabilities
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const authRoutes = require('../../src/routes/authRoutes');
+const authMiddleware = require('../../src/middleware/authMiddleware');
+const User = require('../../src/models/User');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyAccessToken
+} = require('../../src/utils/generateToken');
+const { getKeySet } = require('../../src/utils/signingKeys');
+
+describe('Security Tests', () => {
+  let app;
+
+  beforeAll(async () => {
+    // Connect to local MongoDB
+    await mongoose.connect('mongodb://localhost:27017/rsachat');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+
+    // Protected route for testing
+    app.get('/api/protected', authMiddleware, (req, res) => {
+      res.json({ message: 'Access granted', user: req.user });
+    });
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+  });
+
+  describe('Authentication Security', () => {
+    test('should reject access without token', async () => {
+      const response = await request(app).get('/api/protected').expect(401);
+
+      expect(response.body.message).toBe('Unauthorized');
+    });
+
+    test('should reject expired tokens', async () => {
+      const expiredToken = getKeySet().sign({ id: 'user123' }, { expiresIn: '-1h' });
+
+      const response = await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${expiredToken}`)
+        .expect(403);
+
+      expect(response.body.message).toBe('Invalid token');
+    });
+
+    test('should reject tokens with invalid signature', async () => {
+      const token = jwt.sign({ id: 'user123' }, 'wrong-secret');
+
+      const response = await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    test('should reject tokens signed with the old shared secret', async () => {
+      const token = jwt.sign({ id: 'user123' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+      await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+    });
+
+    test('should prevent token algorithm confusion (none algorithm)', async () => {
+      const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64');
+      const payload = Buffer.from(JSON.stringify({ id: 'user123' })).toString('base64');
+      const noneToken = `${header}.${payload}.`;
+
+      const response = await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${noneToken}`)
+        .expect(403);
+    });
+
+    test('should validate token tampering attempts', async () => {
+      const validToken = generateAccessToken({ id: 'user123' });
+
+      // Decode and modify payload
+      const parts = validToken.split('.');
+      const modifiedPayload = Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64');
+      const tamperedToken = `${parts[0]}.${modifiedPayload}.${parts[2]}`;
+
+      await request(app)
+        .get('/api/protected')
+        .set('Authorization', `Bearer ${tamperedToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Password Security', () => {
+    test('should not expose password in any API response', async () => {
+      const userData = {
+        email: 'nopassword@test.com',
+        password: 'SecretPassword123',
+        firstName: 'Test',
+        lastName: 'User',
+        role: 'driver'
+      };
+
+      const registerResponse = await request(app).post('/api/auth/register').send(userData);
+
+      expect(JSON.stringify(registerResponse.body)).not.toContain(userData.password);
+
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+
+      expect(JSON.stringify(loginResponse.body)).not.toContain(userData.password);
+    });
+
+    test('should enforce minimum password complexity', async () => {
+      const weakPasswords = ['123', 'abc', '', '   '];
+
+      // Note: Current implementation doesn't validate password strength
+      // This test documents the limitation
+      for (const password of weakPasswords) {
+        const userData = {
+          email: `weak${password.length}@test.com`,
+          password,
+          firstName: 'Weak',
+          lastName: 'Password',
+          role: 'driver'
+        };
+
+        // Currently accepts weak passwords - security vulnerability
+        await request(app).post('/api/auth/register').send(userData);
+      }
+    });
+  });
+
+  describe('Input Validation & Injection Prevention', () => {
+    test('should sanitize email input', async () => {
+      const maliciousEmails = [
+        '<script>alert("xss")</script>@test.com',
+        'test@<script>alert("xss")</script>.com',
+        'javascript:alert(1)@test.com'
+      ];
+
+      for (const email of maliciousEmails) {
+        const userData = {
+          email,
+          password: 'Password123',
+          firstName: 'Test',
+          lastName: 'User',
+          role: 'driver'
+        };
+
+        await request(app).post('/api/auth/register').send(userData);
+      }
+    });
+
+    test('should handle extremely long inputs without crashing', async () => {
+      const longString = 'A'.repeat(100000);
+
+      const userData = {
+        email: `${longString}@test.com`,
+        password: longString,
+        firstName: longString,
+        lastName: longString,
+        role: 'driver'
+      };
+
+      // Should handle without crashing (may fail validation)
+      await request(app).post('/api/auth/register').send(userData);
+    });
+
+    test('should prevent email enumeration', async () => {
+      // Register a user
+      await request(app).post('/api/auth/register').send({
+        email: 'exists@test.com',
+        password: 'Password123',
+        firstName: 'Exists',
+        lastName: 'User',
+        role: 'driver'
+      });
+
+      // Try to login with wrong password
+      const wrongPasswordResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'exists@test.com', password: 'WrongPassword' })
+        .expect(400);
+
+      // Try to login with non-existent email
+      const noEmailResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'notexists@test.com', password: 'AnyPassword' })
+        .expect(400);
+
+      // Both should return same generic message to prevent enumeration
+      expect(wrongPasswordResponse.body.message).toBe('Invalid credentials');
+      expect(noEmailResponse.body.message).toBe('Invalid credentials');
+    });
+  });
+
+  describe('Rate Limiting & Brute Force Protection', () => {
+    test('should handle rapid sequential login attempts', async () => {
+      // Create user first
+      await request(app).post('/api/auth/register').send({
+        email: 'brute@test.com',
+        password: 'CorrectPassword123',
+        firstName: 'Brute',
+        lastName: 'Force',
+        role: 'driver'
+      });
+
+      // Attempt multiple logins rapidly
+      const attempts = 20;
+      const promises = [];
+
+      for (let i = 0; i < attempts; i++) {
+        promises.push(
+          request(app)
+            .post('/api/auth/login')
+            .send({ email: 'brute@test.com', password: 'WrongPassword' })
+        );
+      }
+
+      const results = await Promise.all(promises);
+
+      // All should fail (no rate limiting currently implemented)
+      // This test documents the limitation
+      results.forEach((res) => {
+        expect(res.status).toBe(400);
+      });
+    });
+  });
+
+  describe('Authorization & Access Control', () => {
+    test('should not allow user to access resources without authentication', async () => {
+      await request(app).get('/api/protected').expect(401);
+    });
+
+    test('should validate token on every protected request', async () => {
+      const token = getKeySet().sign({ id: 'user123' }, { expiresIn: '1s' });
+
+      // First request should work
+      await request(app).get('/api/protected').set('Authorization', `Bearer ${token}`).expect(200);
+
+      // Wait for token to expire
+      await new Promise((resolve) => setTimeout(resolve, 1500));
+
+      // Second request should fail
+      await request(app).get('/api/protected').set('Authorization', `Bearer ${token}`).expect(403);
+    });
+  });
+
+  describe('Session Security', () => {
+    test('should use different secrets for access and refresh tokens', async () => {
+      const payload = { id: 'user123' };
+
+      const accessToken = generateAccessToken(payload);
+      const refreshToken = generateRefreshToken(payload);
+
+      // Access token should fail with refresh secret
+      expect(() => {
+        jwt.verify(accessToken, process.env.JWT_REFRESH_SECRET);
+      }).toThrow();
+
+      // Refresh token should fail with the access token keys
+      expect(() => {
+        verifyAccessToken(refreshToken);
+      }).toThrow();
+    });
+
+    test('should have appropriate token expiry times', async () => {
+      const payload = { id: 'user123', role: 'driver' };
+
+      const accessToken = generateAccessToken(payload);
+      const accessDecoded = jwt.decode(accessToken);
+
+      const expiryTime = accessDecoded.exp - accessDecoded.iat;
+      expect(expiryTime).toBe(900); // 15 minutes
+    });
+  });
+
+  describe('Data Exposure', () => {
+    test('should not leak sensitive information in error messages', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@test.com', password: 'wrong' })
+        .expect(400);
+
+      // Should not reveal whether email exists
+      expect(response.body.message).not.toContain('password');
+      expect(response.body.message).not.toContain('email not found');
+    });
+
+    test('should not expose internal server details in errors', async () => {
+      // Close database to cause error
+      await mongoose.connection.close();
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'error@test.com',
+          password: 'Password123',
+          firstName: 'Error',
+          lastName: 'Test',
+          role: 'driver'
+        })
+        .expect(500);
+
+      // Should return generic error, not database connection details
+      expect(response.body.message).toBe('Server error');
+      expect(JSON.stringify(response.body)).not.toContain('mongoose');
+      expect(JSON.stringify(response.body)).not.toContain('connection');
+
+      // Reconnect for other tests
+      await mongoose.connect('mongodb://localhost:27017/rsachat');
+    });
+  });
+
+  describe('CORS & Headers Security', () => {
+    test('should handle requests without origin header', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@test.com', password: 'password' })
+        .expect(400);
+    });
+
+    test('should process JSON content type correctly', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify({ email: 'test@test.com', password: 'password' }))
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Tests for Pagination Cursor Utility
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate cursor encoding and decoding in isolation
+ */
+
+const mongoose = require('mongoose');
+const {
+  encodeSeqCursor,
+  decodeSeqCursor,
+  seqQuery,
+  encodeCursor,
+  decodeCursor
+} = require('../../src/utils/cursor');
+
+describe('cursor Utility - Unit Tests', () => {
+  const message = {
+    _id: new mongoose.Types.ObjectId(),
+    timestamp: new Date('2025-01-01T12:00:00.123Z'),
+    seq: 42
+  };
+
+  describe('Message cursors', () => {
+    test('should round-trip the seq', () => {
+      expect(decodeSeqCursor(encodeSeqCursor(message))).toBe(42);
+    });
+
+    test('should produce URL-safe cursors', () => {
+      expect(encodeSeqCursor(message)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test('should return null for malformed cursors', () => {
+      expect(decodeSeqCursor('garbage')).toBeNull();
+      expect(decodeSeqCursor(Buffer.from('seq_').toString('base64url'))).toBeNull();
+      expect(decodeSeqCursor(Buffer.from('seq_0').toString('base64url'))).toBeNull();
+      expect(decodeSeqCursor(Buffer.from('seq_1.5').toString('base64url'))).toBeNull();
+      expect(decodeSeqCursor(Buffer.from('seq_99999999999999999999').toString('base64url'))).toBeNull();
+      expect(decodeSeqCursor(encodeCursor(message))).toBeNull();
+      expect(decodeSeqCursor(undefined)).toBeNull();
+    });
+
+    test('should only match sequenced messages of the room', () => {
+      expect(seqQuery('room-1')).toEqual({ roomId: 'room-1', seq: { $type: 'number' } });
+      expect(seqQuery('room-1', { $gt: 5 })).toEqual({
+        roomId: 'room-1',
+        seq: { $type: 'number', $gt: 5 }
+      });
+    });
+  });
+
+  describe('Inbox cursors', () => {
+    test('should round-trip timestamp and id', () => {
+      const decoded = decodeCursor(encodeCursor(message));
+
+      expect(decoded.timestamp).toEqual(message.timestamp);
+      expect(decoded.id.equals(message._id)).toBe(true);
+    });
+
+    test('should produce URL-safe cursors', () => {
+      expect(encodeCursor(message)).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    test('should return null for malformed cursors', () => {
+      expect(decodeCursor('garbage')).toBeNull();
+      expect(decodeCursor(Buffer.from('notanumber_abc').toString('base64url'))).toBeNull();
+      expect(decodeCursor(Buffer.from('123_').toString('base64url'))).toBeNull();
+      expect(decodeCursor(undefined)).toBeNull();
+      expect(decodeCursor(['array'])).toBeNull();
+    });
+  });
+});
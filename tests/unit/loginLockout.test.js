@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Login Lockout
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate the delay schedule and lockout decisions with the LoginAttempt model stubbed out
+ */
+
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const lockoutConfig = require('../../src/config/lockout');
+const { delayFor, checkAttempt, recordFailure } = require('../../src/services/lockoutService');
+
+describe('Login Lockout - Unit Tests', () => {
+  const email = 'driver@example.com';
+  const ip = '203.0.113.7';
+
+  beforeAll(() => {
+    lockoutConfig.enabled = true;
+  });
+
+  afterAll(() => {
+    lockoutConfig.enabled = false;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('delayFor', () => {
+    const rule = { freeAttempts: 3 };
+
+    test('should not delay the free attempts', () => {
+      expect(delayFor(1, rule)).toBe(0);
+      expect(delayFor(3, rule)).toBe(0);
+    });
+
+    test('should double the delay after each further failure', () => {
+      expect(delayFor(4, rule)).toBe(lockoutConfig.baseDelaySeconds);
+      expect(delayFor(5, rule)).toBe(lockoutConfig.baseDelaySeconds * 2);
+      expect(delayFor(6, rule)).toBe(lockoutConfig.baseDelaySeconds * 4);
+    });
+
+    test('should cap the delay', () => {
+      expect(delayFor(100, rule)).toBe(lockoutConfig.maxDelaySeconds);
+    });
+  });
+
+  describe('checkAttempt', () => {
+    const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000);
+
+    test('should allow an attempt with no failures on record', async () => {
+      jest.spyOn(LoginAttempt, 'find').mockResolvedValue([]);
+
+      await expect(checkAttempt({ email, ip })).resolves.toBeNull();
+    });
+
+    test('should ask the caller to wait out a progressive delay', async () => {
+      jest
+        .spyOn(LoginAttempt, 'find')
+        .mockResolvedValue([{ key: `account:${email}`, retryAt: inSeconds(4) }]);
+
+      const block = await checkAttempt({ email, ip });
+
+      expect(block.accountLocked).toBe(false);
+      expect(block.retryAfter).toBeGreaterThanOrEqual(3);
+      expect(block.retryAfter).toBeLessThanOrEqual(4);
+    });
+
+    test('should report a locked account', async () => {
+      const lockedUntil = inSeconds(600);
+      jest
+        .spyOn(LoginAttempt, 'find')
+        .mockResolvedValue([{ key: `account:${email}`, retryAt: lockedUntil, lockedUntil }]);
+
+      const block = await checkAttempt({ email, ip });
+
+      expect(block.accountLocked).toBe(true);
+    });
+
+    test('should block a locked IP without calling the account locked', async () => {
+      const lockedUntil = inSeconds(600);
+      jest
+        .spyOn(LoginAttempt, 'find')
+        .mockResolvedValue([{ key: `ip:${ip}`, retryAt: lockedUntil, lockedUntil }]);
+
+      const block = await checkAttempt({ email, ip });
+
+      expect(block.accountLocked).toBe(false);
+      expect(block.retryAfter).toBeGreaterThan(0);
+    });
+
+    test('should ignore delays and locks that have passed', async () => {
+      jest
+        .spyOn(LoginAttempt, 'find')
+        .mockResolvedValue([{ key: `account:${email}`, retryAt: inSeconds(-1), lockedUntil: inSeconds(-1) }]);
+
+      await expect(checkAttempt({ email, ip })).resolves.toBeNull();
+    });
+  });
+
+  describe('recordFailure', () => {
+    const stubFailures = (failures) => {
+      jest
+        .spyOn(LoginAttempt, 'findOneAndUpdate')
+        .mockImplementation(async ({ key }) => ({ _id: key, key, failures: failures[key] }));
+      return jest.spyOn(LoginAttempt, 'updateOne').mockResolvedValue({});
+    };
+
+    test('should set a retry time once past the free attempts', async () => {
+      const updateOne = stubFailures({
+        [`account:${email}`]: lockoutConfig.account.freeAttempts + 1,
+        [`ip:${ip}`]: 1,
+      });
+
+      const result = await recordFailure({ email, ip });
+
+      expect(result.accountLocked).toBe(false);
+      const [, accountUpdate] = updateOne.mock.calls.find(([filter]) => filter._id === `account:${email}`);
+      expect(accountUpdate.retryAt.getTime()).toBeGreaterThan(Date.now());
+      expect(accountUpdate.lockedUntil).toBeUndefined();
+    });
+
+    test('should lock the account at the maximum and start the count over', async () => {
+      const updateOne = stubFailures({
+        [`account:${email}`]: lockoutConfig.account.maxAttempts,
+        [`ip:${ip}`]: 1,
+      });
+
+      const result = await recordFailure({ email, ip });
+
+      expect(result.accountLocked).toBe(true);
+      const [, accountUpdate] = updateOne.mock.calls.find(([filter]) => filter._id === `account:${email}`);
+      expect(accountUpdate.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(accountUpdate.failures).toBe(0);
+    });
+
+    test('should count failures without an email against the IP only', async () => {
+      const updateOne = stubFailures({ [`ip:${ip}`]: 1 });
+
+      await recordFailure({ email: undefined, ip });
+
+      expect(updateOne).toHaveBeenCalledTimes(1);
+      expect(updateOne.mock.calls[0][0]._id).toBe(`ip:${ip}`);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for the Mailer
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate mail transports and the shared sendMail entry point without a mail server
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mailConfig = require('../../src/config/mail');
+const { setMailer, sendMail } = require('../../src/services/mailer');
+const createFileTransport = require('../../src/services/mailer/fileTransport');
+const createSmtpTransport = require('../../src/services/mailer/smtpTransport');
+
+describe('Mailer - Unit Tests', () => {
+  const message = {
+    from: 'RSA Chat <no-reply@example.com>',
+    to: 'driver@example.com',
+    subject: 'Confirm your email address',
+    text: 'Hello there'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setMailer(undefined);
+  });
+
+  describe('sendMail', () => {
+    test('should send through the current transport from the configured address', async () => {
+      const send = jest.fn().mockResolvedValue();
+      setMailer({ send });
+
+      await sendMail({ to: message.to, subject: message.subject, text: message.text });
+
+      expect(send).toHaveBeenCalledWith({
+        from: mailConfig.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+    });
+  });
+
+  describe('File Transport', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('should write each message to its own .eml file', async () => {
+      const transport = createFileTransport({ dir });
+
+      await transport.send(message);
+      await transport.send({ ...message, subject: 'Second' });
+
+      const files = await fs.readdir(dir);
+      expect(files).toHaveLength(2);
+      files.forEach((file) => expect(file).toMatch(/\.eml$/));
+    });
+
+    test('should include headers and body', async () => {
+      await createFileTransport({ dir }).send(message);
+
+      const [file] = await fs.readdir(dir);
+      const contents = await fs.readFile(path.join(dir, file), 'utf8');
+      expect(contents).toContain(`To: ${message.to}`);
+      expect(contents).toContain(`Subject: ${message.subject}`);
+      expect(contents.endsWith(`\r\n\r\n${message.text}`)).toBe(true);
+    });
+
+    test('should create the directory if needed', async () => {
+      const nested = path.join(dir, 'outbox');
+
+      await createFileTransport({ dir: nested }).send(message);
+
+      expect(await fs.readdir(nested)).toHaveLength(1);
+    });
+  });
+
+  describe('SMTP Transport', () => {
+    test('should hand messages to nodemailer with the server settings', async () => {
+      const sendMailStub = jest.fn().mockResolvedValue({});
+      const createTransport = jest
+        .spyOn(nodemailer, 'createTransport')
+        .mockReturnValue({ sendMail: sendMailStub });
+
+      const transport = createSmtpTransport({
+        host: 'smtp.example.com',
+        port: 465,
+        secure: true,
+        user: 'mailer',
+        pass: 'secret'
+      });
+      await transport.send(message);
+
+      expect(createTransport).toHaveBeenCalledWith({
+        host: 'smtp.example.com',
+        port: 465,
+        secure: true,
+        auth: { user: 'mailer', pass: 'secret' }
+      });
+      expect(sendMailStub).toHaveBeenCalledWith(message);
+    });
+
+    test('should connect without credentials when none are set', () => {
+      const createTransport = jest
+        .spyOn(nodemailer, 'createTransport')
+        .mockReturnValue({ sendMail: jest.fn() });
+
+      createSmtpTransport({ host: 'localhost', port: 25, secure: false });
+
+      expect(createTransport.mock.calls[0][0].auth).toBeUndefined();
+    });
+  });
+});
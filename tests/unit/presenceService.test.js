@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for Presence Transitions
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate when a user comes online or goes offline, with the Presence model stubbed out
+ */
+
+const Presence = require('../../src/models/Presence');
+const { addConnection, removeConnection } = require('../../src/services/presenceService');
+
+describe('Presence Service - Unit Tests', () => {
+  const userId = 'user-p';
+  let stored; // The user's recorded socket IDs, or null before the first connection
+  let live; // Socket IDs in the user's room
+  let io;
+
+  beforeEach(() => {
+    stored = null;
+    live = new Set();
+    io = {
+      in: jest.fn(() => ({
+        fetchSockets: async () => [...live].map((id) => ({ id }))
+      }))
+    };
+
+    // Each update applies atomically and resolves with the document before or after it
+    jest.spyOn(Presence, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+      const before = stored && { sockets: [...stored] };
+      if (update.$addToSet) {
+        stored = stored || [];
+        if (!stored.includes(update.$addToSet.sockets)) stored.push(update.$addToSet.sockets);
+      }
+      if (update.$pull) stored = stored && stored.filter((id) => id !== update.$pull.sockets);
+      return options.new ? stored && { sockets: [...stored] } : before;
+    });
+    jest.spyOn(Presence, 'updateOne').mockImplementation(async (filter, update) => {
+      const stale = update.$pull.sockets.$in;
+      stored = stored.filter((id) => !stale.includes(id));
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Joins the user's room, then records the socket, as the presence handler does
+  const connect = (socketId) => {
+    live.add(socketId);
+    return addConnection(io, userId, socketId);
+  };
+
+  // Leaves the room, then forgets the socket, as Socket.IO does before `disconnect`
+  const disconnect = (socketId) => {
+    live.delete(socketId);
+    return removeConnection(io, userId, socketId);
+  };
+
+  test('should bring the user online with their first socket only', async () => {
+    expect(await connect('phone')).toBe(true);
+    expect(await connect('tablet')).toBe(false);
+  });
+
+  test('should bring the user online exactly once when two sockets connect together', async () => {
+    // Both are in the room before either is recorded
+    live.add('phone');
+    live.add('tablet');
+
+    const results = await Promise.all([
+      addConnection(io, userId, 'phone'),
+      addConnection(io, userId, 'tablet')
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('should take the user offline with their last socket only', async () => {
+    await connect('phone');
+    await connect('tablet');
+
+    expect(await disconnect('phone')).toBe(false);
+    expect(await disconnect('tablet')).toBe(true);
+    expect(stored).toEqual([]);
+  });
+
+  test('should ignore sockets left behind by a stopped instance', async () => {
+    stored = ['crashed'];
+
+    expect(await connect('phone')).toBe(true);
+    expect(stored).toEqual(['phone']);
+    expect(await disconnect('phone')).toBe(true);
+  });
+});
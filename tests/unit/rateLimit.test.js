@@ -0,0 +1,255 @@
+/**
+ * Unit Tests for Rate Limiting
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate the token bucket store, HTTP middleware and socket guard in isolation
+ */
+
+const rateLimitConfig = require('../../src/config/rateLimit');
+const createMemoryStore = require('../../src/services/rateLimit/memoryStore');
+const { setStore, resolveRule } = require('../../src/services/rateLimit');
+const rateLimit = require('../../src/middleware/rateLimitMiddleware');
+const { limited, rejectBannedSockets } = require('../../src/socket/rateLimit');
+
+describe('Rate Limiting - Unit Tests', () => {
+  const { maxViolations } = rateLimitConfig.offenders;
+
+  beforeAll(() => {
+    rateLimitConfig.enabled = true;
+  });
+
+  afterAll(() => {
+    rateLimitConfig.enabled = false;
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    setStore(createMemoryStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Memory Store', () => {
+    const rule = { capacity: 3, refillPerSecond: 1 };
+
+    test('should allow a burst up to capacity, then refuse', async () => {
+      const store = createMemoryStore();
+      const results = [];
+      for (let i = 0; i < 4; i++) results.push(await store.consume('key', rule));
+
+      expect(results.map((result) => result.allowed)).toEqual([true, true, true, false]);
+      expect(results[3].retryAfterMs).toBe(1000);
+    });
+
+    test('should refill tokens over time without exceeding capacity', async () => {
+      const store = createMemoryStore();
+      for (let i = 0; i < 3; i++) await store.consume('key', rule);
+
+      jest.advanceTimersByTime(2000);
+      expect((await store.consume('key', rule)).remaining).toBe(1);
+
+      jest.advanceTimersByTime(60000);
+      expect((await store.consume('key', rule)).remaining).toBe(2);
+    });
+
+    test('should keep separate buckets per key', async () => {
+      const store = createMemoryStore();
+      for (let i = 0; i < 3; i++) await store.consume('a', rule);
+
+      expect((await store.consume('b', rule)).allowed).toBe(true);
+    });
+
+    test('should read a bucket without spending when the cost is 0', async () => {
+      const store = createMemoryStore();
+      await store.consume('key', rule);
+
+      expect(await store.consume('key', rule, 0)).toMatchObject({ allowed: true, remaining: 2 });
+      expect((await store.consume('key', rule, 0)).remaining).toBe(2);
+    });
+
+    test('should forget buckets that refilled once it holds too many keys', async () => {
+      const store = createMemoryStore({ maxKeys: 2 });
+      await store.consume('a', rule);
+      await store.consume('b', rule);
+
+      jest.advanceTimersByTime(1000);
+      await store.consume('c', rule);
+
+      expect((await store.consume('a', rule, 0)).remaining).toBe(3);
+    });
+  });
+
+  describe('Rules', () => {
+    test('should apply role overrides', () => {
+      expect(resolveRule('send_message', 'dispatcher').capacity).toBeGreaterThan(
+        resolveRule('send_message', 'customer').capacity
+      );
+    });
+
+    test('should leave routes and events without a rule unlimited', () => {
+      expect(resolveRule('reauthenticate')).toBeNull();
+    });
+  });
+
+  describe('HTTP Middleware', () => {
+    const call = async (req) => {
+      const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await rateLimit('login')(req, res, next);
+      return { res, next };
+    };
+
+    test('should answer 429 with Retry-After once the limit is reached', async () => {
+      const { capacity } = rateLimitConfig.rules.login;
+      for (let i = 0; i < capacity; i++) {
+        expect((await call({ ip: '10.0.0.1' })).next).toHaveBeenCalled();
+      }
+
+      const { res, next } = await call({ ip: '10.0.0.1' });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Too many requests',
+        retryAfter: expect.any(Number)
+      });
+    });
+
+    test('should limit signed-in users by ID rather than IP', async () => {
+      const { capacity } = rateLimitConfig.rules.login;
+      for (let i = 0; i < capacity; i++) await call({ ip: '10.0.0.2', user: { id: 'u1' } });
+
+      expect((await call({ ip: '10.0.0.2', user: { id: 'u2' } })).next).toHaveBeenCalled();
+    });
+
+    test('should let requests through when the store fails', async () => {
+      setStore({ consume: jest.fn().mockRejectedValue(new Error('down')) });
+
+      expect((await call({ ip: '10.0.0.3' })).next).toHaveBeenCalled();
+    });
+  });
+
+  describe('Socket Guard', () => {
+    const createSocket = (role = 'customer') => ({
+      user: { id: `user-${role}`, role },
+      emit: jest.fn(),
+      disconnect: jest.fn()
+    });
+
+    const flood = async (socket, handler, times) => {
+      const guarded = limited(socket, 'send_message', handler);
+      for (let i = 0; i < times; i++) await guarded({ roomId: 'room-1' }, jest.fn());
+    };
+
+    test('should run the handler until the limit is reached', async () => {
+      const socket = createSocket();
+      const handler = jest.fn();
+      const { capacity } = resolveRule('send_message', 'customer');
+
+      await flood(socket, handler, capacity + 1);
+
+      expect(handler).toHaveBeenCalledTimes(capacity);
+      expect(socket.emit).toHaveBeenCalledWith('rate_limited', {
+        event: 'send_message',
+        retryAfter: 1
+      });
+    });
+
+    test('should report the limit through the ack', async () => {
+      const socket = createSocket();
+      const { capacity } = resolveRule('send_message', 'customer');
+      await flood(socket, jest.fn(), capacity);
+
+      const ack = jest.fn();
+      await limited(socket, 'send_message', jest.fn())({ roomId: 'room-1' }, ack);
+
+      expect(ack).toHaveBeenCalledWith({
+        ok: false,
+        error: { code: 'RATE_LIMITED', message: 'Too many requests', retryAfter: 1 }
+      });
+    });
+
+    test('should give roles their own limits', async () => {
+      const handler = jest.fn();
+      const { capacity } = resolveRule('send_message', 'dispatcher');
+
+      await flood(createSocket('dispatcher'), handler, capacity);
+
+      expect(handler).toHaveBeenCalledTimes(capacity);
+    });
+
+    test('should disconnect and then refuse repeat offenders', async () => {
+      const socket = createSocket();
+      const { capacity } = resolveRule('send_message', 'customer');
+
+      await flood(socket, jest.fn(), capacity + maxViolations);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+
+      await flood(socket, jest.fn(), 1);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+
+      const next = jest.fn();
+      await rejectBannedSockets(socket, next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Rate limited' }));
+    });
+
+    test('should drop sustained typing without disconnecting a fast typist', async () => {
+      const socket = createSocket();
+      const handler = jest.fn();
+      const typing = limited(socket, 'typing', handler);
+      const { capacity, refillPerSecond } = resolveRule('typing', 'customer');
+
+      // One event per keystroke at 5 keys a second, for two minutes
+      for (let i = 0; i < 5 * 120; i++) {
+        await typing({ roomId: 'room-1', isTyping: true });
+        jest.advanceTimersByTime(200);
+      }
+
+      expect(socket.disconnect).not.toHaveBeenCalled();
+      expect(socket.emit).not.toHaveBeenCalledWith('rate_limited', expect.anything());
+      expect(handler.mock.calls.length).toBeGreaterThanOrEqual(capacity + refillPerSecond * 119);
+      const next = jest.fn();
+      await rejectBannedSockets(socket, next);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should not count a burst of receipts after a replay as violations', async () => {
+      const socket = createSocket();
+      const markDelivered = limited(socket, 'mark_delivered', jest.fn());
+
+      for (let i = 0; i < 500; i++) await markDelivered({ roomId: 'room-1', seq: i + 1 }, jest.fn());
+
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should still report dropped events through the ack', async () => {
+      const socket = createSocket();
+      const { capacity } = resolveRule('mark_read', 'customer');
+      const markRead = limited(socket, 'mark_read', jest.fn());
+      for (let i = 0; i < capacity; i++) await markRead({ roomId: 'room-1', seq: 1 }, jest.fn());
+
+      const ack = jest.fn();
+      await markRead({ roomId: 'room-1', seq: 1 }, ack);
+
+      expect(ack).toHaveBeenCalledWith({
+        ok: false,
+        error: expect.objectContaining({ code: 'RATE_LIMITED' })
+      });
+    });
+
+    test('should admit the user again once the ban expires', async () => {
+      const socket = createSocket();
+      const { capacity } = resolveRule('send_message', 'customer');
+      await flood(socket, jest.fn(), capacity + maxViolations + 1);
+
+      jest.advanceTimersByTime(rateLimitConfig.offenders.banSeconds * 1000);
+      const next = jest.fn();
+      await rejectBannedSockets(socket, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
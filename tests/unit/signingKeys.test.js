@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for JWT Signing Keys
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate asymmetric signing, key rotation and the published key set in isolation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwtConfig = require('../../src/config/jwt');
+const { createKeySet, loadKey, getKeySet, setKeySet } = require('../../src/utils/signingKeys');
+
+describe('signingKeys Utility - Unit Tests', () => {
+  const pem = (type, options) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+    return {
+      private: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      public: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  };
+  const rsa = pem('rsa', { modulusLength: 2048 });
+  const ec = pem('ec', { namedCurve: 'P-256' });
+  const ecNext = pem('ec', { namedCurve: 'P-256' });
+
+  afterEach(() => {
+    setKeySet(undefined);
+  });
+
+  describe('loadKey', () => {
+    test('should pick RS256 for RSA keys and ES256 for P-256 keys', () => {
+      expect(loadKey('rsa', rsa.private).alg).toBe('RS256');
+      expect(loadKey('ec', ec.private).alg).toBe('ES256');
+    });
+
+    test('should load public keys for verification only', () => {
+      const key = loadKey('old', ec.public);
+
+      expect(key.privateKey).toBeNull();
+      expect(() => createKeySet([key], { activeKid: 'old' })).toThrow('No private key');
+    });
+
+    test('should reject other curves', () => {
+      const p384 = pem('ec', { namedCurve: 'P-384' });
+
+      expect(() => loadKey('p384', p384.private)).toThrow('Unsupported signing key type');
+    });
+  });
+
+  describe('sign and verify', () => {
+    test.each([
+      ['RS256', rsa],
+      ['ES256', ec]
+    ])('should sign %s tokens with a kid and verify them', (alg, keyPair) => {
+      const keySet = createKeySet([loadKey('key-1', keyPair.private)]);
+
+      const token = keySet.sign({ id: 'user123' }, { expiresIn: '15m' });
+
+      const { header } = jwt.decode(token, { complete: true });
+      expect(header).toMatchObject({ alg, kid: 'key-1' });
+      expect(keySet.verify(token).id).toBe('user123');
+    });
+
+    test('should reject tokens signed by an unknown key', () => {
+      const ours = createKeySet([loadKey('ours', ec.private)]);
+      const theirs = createKeySet([loadKey('theirs', ecNext.private)]);
+
+      expect(() => ours.verify(theirs.sign({ id: 'user123' }))).toThrow('Unknown signing key');
+    });
+
+    test('should reject a token that swaps in another key under our kid', () => {
+      const ours = createKeySet([loadKey('key-1', ec.private)]);
+      const forged = createKeySet([loadKey('key-1', ecNext.private)]).sign({ id: 'admin' });
+
+      expect(() => ours.verify(forged)).toThrow();
+    });
+
+    test('should reject HS256 tokens keyed with the public key', () => {
+      const keySet = createKeySet([loadKey('rsa', rsa.private)]);
+      const forged = [
+        Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'rsa' })).toString('base64url'),
+        Buffer.from(JSON.stringify({ id: 'admin' })).toString('base64url')
+      ].join('.');
+      const signature = crypto.createHmac('sha256', rsa.public).update(forged).digest('base64url');
+
+      expect(() => keySet.verify(`${forged}.${signature}`)).toThrow();
+    });
+
+    test('should reject unsigned tokens', () => {
+      const keySet = createKeySet([loadKey('key-1', ec.private)]);
+      const unsigned = jwt.sign({ id: 'admin' }, null, { algorithm: 'none' });
+
+      expect(() => keySet.verify(unsigned)).toThrow();
+    });
+
+    test('should reject expired tokens', () => {
+      const keySet = createKeySet([loadKey('key-1', ec.private)]);
+
+      expect(() => keySet.verify(keySet.sign({ id: 'user123' }, { expiresIn: '-1s' }))).toThrow('jwt expired');
+    });
+  });
+
+  describe('Rotation', () => {
+    test('should sign with the active key and still verify tokens from the previous one', () => {
+      const before = createKeySet([loadKey('2026-01', ec.private)]);
+      const oldToken = before.sign({ id: 'user123' });
+
+      const after = createKeySet([loadKey('2026-01', ec.private), loadKey('2026-07', ecNext.private)], {
+        activeKid: '2026-07'
+      });
+      const newToken = after.sign({ id: 'user123' });
+
+      expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('2026-07');
+      expect(after.verify(oldToken).id).toBe('user123');
+      expect(after.verify(newToken).id).toBe('user123');
+    });
+
+    test('should default to the last key by kid', () => {
+      const keySet = createKeySet([loadKey('2026-01', ec.private), loadKey('2026-07', ecNext.private)]);
+
+      expect(keySet.activeKid).toBe('2026-07');
+    });
+
+    test('should stop accepting tokens once their key is removed', () => {
+      const oldToken = createKeySet([loadKey('2026-01', ec.private)]).sign({ id: 'user123' });
+      const retired = createKeySet([loadKey('2026-07', ecNext.private)]);
+
+      expect(() => retired.verify(oldToken)).toThrow('Unknown signing key');
+    });
+  });
+
+  describe('Legacy HS256 tokens', () => {
+    const legacyToken = jwt.sign({ id: 'user123' }, 'old-shared-secret', { expiresIn: '15m' });
+    const legacyKeySet = () =>
+      createKeySet([loadKey('key-1', ec.private)], { legacySecret: 'old-shared-secret' });
+
+    test('should accept tokens without a kid while the old secret is configured', () => {
+      expect(legacyKeySet().verify(legacyToken).id).toBe('user123');
+    });
+
+    test('should reject them once the old secret is removed', () => {
+      const keySet = createKeySet([loadKey('key-1', ec.private)]);
+
+      expect(() => keySet.verify(legacyToken)).toThrow();
+    });
+
+    test('should reject tokens without an expiry', () => {
+      const lasting = jwt.sign({ id: 'user123' }, 'old-shared-secret');
+
+      expect(() => legacyKeySet().verify(lasting)).toThrow('jwt expiry required');
+    });
+
+    test('should reject tokens issued longer ago than an access token lives', () => {
+      const iat = Math.floor(Date.now() / 1000) - jwtConfig.accessTokenExpiry - 60;
+      const stale = jwt.sign({ id: 'user123', iat, exp: iat + 24 * 60 * 60 }, 'old-shared-secret');
+
+      expect(() => legacyKeySet().verify(stale)).toThrow('maxAge exceeded');
+    });
+  });
+
+  describe('jwks', () => {
+    test('should publish every public key with its kid and algorithm', () => {
+      const keySet = createKeySet([loadKey('rsa', rsa.private), loadKey('ec', ec.private)]);
+
+      const { keys } = keySet.jwks();
+
+      expect(keys).toHaveLength(2);
+      expect(keys[0]).toMatchObject({ kty: 'RSA', kid: 'rsa', alg: 'RS256', use: 'sig' });
+      expect(keys[1]).toMatchObject({ kty: 'EC', crv: 'P-256', kid: 'ec', alg: 'ES256', use: 'sig' });
+    });
+
+    test('should never include private key material', () => {
+      const keySet = createKeySet([loadKey('rsa', rsa.private), loadKey('ec', ec.private)]);
+
+      keySet.jwks().keys.forEach((key) => {
+        ['d', 'p', 'q', 'dp', 'dq', 'qi'].forEach((param) => expect(key[param]).toBeUndefined());
+      });
+    });
+
+    test('should let another service verify our tokens from the published key', () => {
+      const keySet = createKeySet([loadKey('key-1', rsa.private)]);
+      const token = keySet.sign({ id: 'user123' });
+
+      const [jwk] = keySet.jwks().keys;
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+      expect(jwt.verify(token, publicKey, { algorithms: [jwk.alg] }).id).toBe('user123');
+    });
+  });
+
+  describe('getKeySet', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jwtConfig.keysDir = undefined;
+      jwtConfig.activeKid = undefined;
+    });
+
+    test('should load every .pem file in the keys directory', () => {
+      fs.writeFileSync(path.join(dir, '2026-01.pem'), ec.public);
+      fs.writeFileSync(path.join(dir, '2026-07.pem'), ecNext.private);
+      fs.writeFileSync(path.join(dir, 'README.txt'), 'not a key');
+      jwtConfig.keysDir = dir;
+
+      const keySet = getKeySet();
+
+      expect(keySet.activeKid).toBe('2026-07');
+      expect(keySet.jwks().keys.map((key) => key.kid)).toEqual(['2026-01', '2026-07']);
+    });
+
+    test('should fall back to a temporary key without a keys directory', () => {
+      const keySet = getKeySet();
+
+      expect(keySet.activeKid).toMatch(/^ephemeral-/);
+      expect(keySet.verify(keySet.sign({ id: 'user123' })).id).toBe('user123');
+    });
+
+    test('should refuse a keys directory without .pem files', () => {
+      fs.writeFileSync(path.join(dir, 'README.txt'), 'not a key');
+      jwtConfig.keysDir = dir;
+
+      expect(() => getKeySet()).toThrow('No .pem signing keys found');
+    });
+
+    test('should refuse to run without keys outside development and test', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => getKeySet()).toThrow('JWT_KEYS_DIR must be set');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for Socket.IO Adapter Selection
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate that the configured cluster adapter is built correctly, without a live database
+ */
+
+jest.mock('@socket.io/mongo-adapter', () => ({
+  createAdapter: jest.fn(() => 'mongo-adapter')
+}));
+
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const createSocketAdapter = require('../../src/socket/adapter');
+const socketConfig = require('../../src/config/socket');
+
+describe('Socket.IO Adapter - Unit Tests', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      createCollection: jest.fn().mockResolvedValue(),
+      collection: jest.fn((name) => ({ name }))
+    };
+    mongoose.connection.db = db;
+    createAdapter.mockClear();
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.db;
+  });
+
+  test('should use the default in-memory adapter for a single process', async () => {
+    expect(await createSocketAdapter('memory')).toBeNull();
+  });
+
+  test('should build the Mongo adapter on a capped collection', async () => {
+    const adapter = await createSocketAdapter('mongo');
+
+    expect(adapter).toBe('mongo-adapter');
+    expect(db.createCollection).toHaveBeenCalledWith(socketConfig.mongo.collection, {
+      capped: true,
+      size: socketConfig.mongo.collectionSize
+    });
+    expect(createAdapter).toHaveBeenCalledWith({ name: socketConfig.mongo.collection });
+  });
+
+  test('should reuse the collection when another instance created it', async () => {
+    db.createCollection.mockRejectedValue(
+      Object.assign(new Error('exists'), { codeName: 'NamespaceExists' })
+    );
+
+    expect(await createSocketAdapter('mongo')).toBe('mongo-adapter');
+  });
+
+  test('should surface other database errors', async () => {
+    db.createCollection.mockRejectedValue(new Error('not authorized'));
+
+    await expect(createSocketAdapter('mongo')).rejects.toThrow('not authorized');
+  });
+
+  test('should reject unknown adapters', async () => {
+    await expect(createSocketAdapter('carrier-pigeon')).rejects.toThrow(
+      'Unknown Socket.IO adapter: carrier-pigeon'
+    );
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for Socket.IO Authentication Middleware
+ * Tests LO2: Code Instrumentation & LO3: Unit Testing
+ *
+ * Purpose: Validate handshake authentication and, through socket/authHandlers,
+ * token expiry handling in isolation
+ */
+
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const socketAuthMiddleware = require('../../src/middleware/socketAuthMiddleware');
+const registerAuthHandlers = require('../../src/socket/authHandlers');
+const jwtConfig = require('../../src/config/jwt');
+const { generateAccessToken } = require('../../src/utils/generateToken');
+const { getKeySet } = require('../../src/utils/signingKeys');
+
+// Sockets created by the current test, disconnected afterwards to clear their timers
+let sockets = [];
+
+// Minimal stand-in for a Socket.IO server-side socket
+const createMockSocket = (handshake = {}) => {
+  const socket = new EventEmitter();
+  sockets.push(socket);
+  socket.handshake = { auth: {}, headers: {}, ...handshake };
+  socket.data = {};
+  socket.emit = jest.fn();
+  socket.disconnect = jest.fn(() => EventEmitter.prototype.emit.call(socket, 'disconnect'));
+  return socket;
+};
+
+// Triggers a client -> server event on the mock socket
+const receive = (socket, event, ...args) => EventEmitter.prototype.emit.call(socket, event, ...args);
+
+describe('socketAuthMiddleware - Unit Tests', () => {
+  let mockNext;
+
+  beforeEach(() => {
+    mockNext = jest.fn();
+  });
+
+  afterEach(() => {
+    sockets.forEach((socket) => receive(socket, 'disconnect'));
+    sockets = [];
+    jest.useRealTimers();
+  });
+
+  describe('Handshake Authentication', () => {
+    test('should accept token from handshake auth and attach user', () => {
+      const token = generateAccessToken({ id: 'user123', role: 'driver' });
+      const socket = createMockSocket({ auth: { token } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(socket.user.id).toBe('user123');
+      expect(socket.user.role).toBe('driver');
+    });
+
+    test('should accept Bearer token from handshake headers', () => {
+      const token = generateAccessToken({ id: 'user123' });
+      const socket = createMockSocket({ headers: { authorization: `Bearer ${token}` } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(socket.user.id).toBe('user123');
+    });
+
+    test('should record the token and session on socket.data for revocation', () => {
+      const token = generateAccessToken({ id: 'user123', sid: 'session-1' });
+      const socket = createMockSocket({ auth: { token } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(socket.data).toEqual({ jti: jwt.decode(token).jti, sid: 'session-1' });
+    });
+
+    test('should reject connection without token', () => {
+      const socket = createMockSocket();
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(expect.any(Error));
+      expect(mockNext.mock.calls[0][0].message).toBe('Unauthorized');
+      expect(socket.user).toBeUndefined();
+    });
+
+    test('should reject token signed with wrong secret', () => {
+      const token = jwt.sign({ id: 'user123' }, 'wrong-secret');
+      const socket = createMockSocket({ auth: { token } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext.mock.calls[0][0].message).toBe('Invalid token');
+    });
+
+    test('should reject expired token', () => {
+      const token = getKeySet().sign({ id: 'user123' }, { expiresIn: '-1s' });
+      const socket = createMockSocket({ auth: { token } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext.mock.calls[0][0].message).toBe('Invalid token');
+    });
+  });
+
+  describe('Handshake Side Effects', () => {
+    // A later middleware (e.g. the rate limit ban) may still refuse the socket,
+    // and Socket.IO never emits `disconnect` for it
+    test('should not arm timers or listeners during the handshake', () => {
+      jest.useFakeTimers();
+      const socket = createMockSocket({ auth: { token: generateAccessToken({ id: 'user123' }) } });
+
+      socketAuthMiddleware(socket, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(jest.getTimerCount()).toBe(0);
+      expect(socket.eventNames()).toEqual([]);
+    });
+  });
+
+  describe('Token Expiry Mid-Connection', () => {
+    // Handshake, then the `connection` handler as wired up in index.js
+    const connect = () => {
+      const token = getKeySet().sign({ id: 'user123' }, { expiresIn: '60s' });
+      const socket = createMockSocket({ auth: { token } });
+      socketAuthMiddleware(socket, mockNext);
+      registerAuthHandlers(null, socket);
+      return socket;
+    };
+
+    test('should emit reauth_required when the token expires', () => {
+      jest.useFakeTimers();
+      const socket = connect();
+
+      jest.advanceTimersByTime(60 * 1000);
+
+      expect(socket.emit).toHaveBeenCalledWith('reauth_required', {
+        timeout: jwtConfig.socketReauthTimeout
+      });
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should disconnect if no fresh token arrives in time', () => {
+      jest.useFakeTimers();
+      const socket = connect();
+
+      jest.advanceTimersByTime(60 * 1000 + jwtConfig.socketReauthTimeout);
+
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+
+    test('should stay connected after reauthenticating with a fresh token', () => {
+      jest.useFakeTimers();
+      const socket = connect();
+      jest.advanceTimersByTime(60 * 1000);
+
+      const freshToken = generateAccessToken({ id: 'user123' });
+      const ack = jest.fn();
+      receive(socket, 'reauthenticate', { token: freshToken }, ack);
+      jest.advanceTimersByTime(jwtConfig.socketReauthTimeout);
+
+      expect(ack).toHaveBeenCalledWith({ ok: true });
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should disconnect when reauthenticating as a different user', () => {
+      const socket = connect();
+      const otherToken = generateAccessToken({ id: 'intruder' });
+      const ack = jest.fn();
+
+      receive(socket, 'reauthenticate', { token: otherToken }, ack);
+
+      expect(ack).toHaveBeenCalledWith({
+        ok: false,
+        error: { code: 'INVALID_TOKEN', message: 'Invalid token' }
+      });
+      expect(socket.disconnect).toHaveBeenCalled();
+      expect(socket.user.id).toBe('user123');
+    });
+
+    test('should clear timers on disconnect', () => {
+      jest.useFakeTimers();
+      const socket = connect();
+
+      receive(socket, 'disconnect');
+      jest.advanceTimersByTime(60 * 1000);
+
+      expect(socket.emit).not.toHaveBeenCalled();
+    });
+  });
+});
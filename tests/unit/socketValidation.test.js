@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Socket Payload Validation
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate the shared socket event schemas and the handler wrapper in isolation
+ */
+
+const { validatePayload, validated } = require('../../src/socket/validation');
+const { schemas, MAX_MESSAGE_LENGTH, MAX_ATTACHMENTS } = require('../../src/socket/schemas');
+
+describe('Socket Payload Validation - Unit Tests', () => {
+  const messageId = '65a1b2c3d4e5f60718293a4b';
+
+  describe('Schemas', () => {
+    test('should declare a schema for every client event', () => {
+      expect(Object.keys(schemas).sort()).toEqual([
+        'delete_message',
+        'edit_message',
+        'join_room',
+        'mark_delivered',
+        'mark_read',
+        'read_message',
+        'reauthenticate',
+        'send_message',
+        'typing'
+      ]);
+    });
+
+    test('should accept valid payloads', () => {
+      expect(validatePayload('join_room', { roomId: 'room-1', lastSeenMessageId: messageId }))
+        .toBeNull();
+      expect(validatePayload('send_message', { roomId: 'room-1', message: 'Hi' })).toBeNull();
+      expect(validatePayload('typing', { roomId: 'room-1', isTyping: false })).toBeNull();
+      expect(validatePayload('mark_read', { roomId: 'room-1', seq: 3 })).toBeNull();
+    });
+
+    test('should ignore unknown properties', () => {
+      const payload = { roomId: 'room-1', message: 'Hi', sender: 'spoofed' };
+      expect(validatePayload('send_message', payload)).toBeNull();
+    });
+
+    test('should reject payloads that are not objects', () => {
+      expect(validatePayload('join_room', 'room-1')).toEqual([
+        { field: '', rule: 'type', message: 'must be object' }
+      ]);
+      expect(validatePayload('join_room', undefined)).not.toBeNull();
+    });
+
+    test('should report missing required fields by name', () => {
+      expect(validatePayload('edit_message', { roomId: 'room-1' })).toEqual([
+        expect.objectContaining({ field: 'messageId', rule: 'required' }),
+        expect.objectContaining({ field: 'message', rule: 'required' })
+      ]);
+    });
+
+    test('should enforce the maximum message length', () => {
+      const payload = { roomId: 'room-1', message: 'x'.repeat(MAX_MESSAGE_LENGTH) };
+      expect(validatePayload('send_message', payload)).toBeNull();
+
+      payload.message += 'x';
+      expect(validatePayload('send_message', payload)).toEqual([
+        expect.objectContaining({ field: 'message', rule: 'maxLength' })
+      ]);
+    });
+
+    test('should reject blank messages', () => {
+      expect(validatePayload('send_message', { roomId: 'room-1', message: '   ' })).toEqual([
+        expect.objectContaining({ field: 'message', rule: 'pattern' })
+      ]);
+    });
+
+    test('should allow a message without text only when it has attachments', () => {
+      expect(validatePayload('send_message', { roomId: 'room-1', attachments: [messageId] }))
+        .toBeNull();
+      expect(validatePayload('send_message', { roomId: 'room-1', attachments: [] })).toEqual([
+        expect.objectContaining({ field: 'message', rule: 'required' })
+      ]);
+    });
+
+    test('should validate ID formats and attachment limits', () => {
+      expect(validatePayload('delete_message', { roomId: 'room 1', messageId: 'abc' })).toEqual([
+        expect.objectContaining({ field: 'roomId', rule: 'pattern' }),
+        expect.objectContaining({ field: 'messageId', rule: 'pattern' })
+      ]);
+
+      const attachments = Array(MAX_ATTACHMENTS + 1).fill(messageId);
+      expect(validatePayload('send_message', { roomId: 'room-1', attachments })).toEqual([
+        expect.objectContaining({ field: 'attachments', rule: 'maxItems' })
+      ]);
+    });
+
+    test('should reject non-integer sequence numbers', () => {
+      expect(validatePayload('mark_read', { roomId: 'room-1', seq: 1.5 })).toEqual([
+        expect.objectContaining({ field: 'seq', rule: 'type' })
+      ]);
+    });
+  });
+
+  describe('validated()', () => {
+    let socket;
+    let handler;
+
+    beforeEach(() => {
+      socket = { emit: jest.fn() };
+      handler = jest.fn();
+    });
+
+    test('should pass valid payloads and the ack through', () => {
+      const ack = jest.fn();
+      validated(socket, 'typing', handler)({ roomId: 'room-1', isTyping: true }, ack);
+
+      expect(handler).toHaveBeenCalledWith({ roomId: 'room-1', isTyping: true }, ack);
+    });
+
+    test('should reject invalid payloads through the ack', () => {
+      const ack = jest.fn();
+      validated(socket, 'mark_read', handler)({ roomId: 'room-1' }, ack);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(ack).toHaveBeenCalledWith({
+        ok: false,
+        error: {
+          code: 'INVALID_PAYLOAD',
+          message: 'Invalid mark_read payload',
+          errors: [expect.objectContaining({ field: 'seq', rule: 'required' })]
+        }
+      });
+    });
+
+    test('should emit an error event when there is no ack', () => {
+      validated(socket, 'join_room', handler)('room-1');
+
+      expect(socket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ event: 'join_room', code: 'INVALID_PAYLOAD' })
+      );
+    });
+
+    test('should treat a lone function argument as the ack', () => {
+      const ack = jest.fn();
+      validated(socket, 'mark_read', handler)(ack);
+
+      expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false }));
+      expect(socket.emit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit Tests for Access Token Revocation
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate the in-memory denylist with the RevokedToken and RefreshToken models stubbed out
+ */
+
+const RevokedToken = require('../../src/models/RevokedToken');
+const RefreshToken = require('../../src/models/RefreshToken');
+const jwtConfig = require('../../src/config/jwt');
+const {
+  sync,
+  isRevoked,
+  revokeToken,
+  revokeSessionTokens,
+  revokeAllForUser,
+  revokeAllSessions,
+  disconnectRevoked
+} = require('../../src/services/tokenRevocationService');
+
+describe('Token Revocation - Unit Tests', () => {
+  const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(() => {
+    jest.spyOn(RevokedToken, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('revokeToken', () => {
+    test('should refuse the revoked jti until it expires', async () => {
+      const claims = { jti: 'jti-revoke-1', id: 'user-a', iat: nowSeconds(), exp: nowSeconds() + 60 };
+
+      await revokeToken(claims);
+
+      expect(isRevoked(claims)).toBe(true);
+      expect(RevokedToken.updateOne).toHaveBeenCalledWith(
+        { key: 'jti:jti-revoke-1' },
+        expect.objectContaining({ userId: 'user-a', expiresAt: new Date(claims.exp * 1000) }),
+        { upsert: true }
+      );
+    });
+
+    test('should not affect other tokens of the same user', async () => {
+      await revokeToken({ jti: 'jti-revoke-2', id: 'user-b', exp: nowSeconds() + 60 });
+
+      expect(isRevoked({ jti: 'jti-other', id: 'user-b', iat: nowSeconds() })).toBe(false);
+    });
+
+    test('should ignore tokens without a jti', async () => {
+      await revokeToken({ id: 'user-c', exp: nowSeconds() + 60 });
+
+      expect(RevokedToken.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeSessionTokens', () => {
+    test("should refuse every token of the session, but not the user's other sessions", async () => {
+      await revokeSessionTokens({ userId: 'user-s', sid: 'session-1' });
+
+      expect(isRevoked({ jti: 'jti-s1', sid: 'session-1', id: 'user-s', iat: nowSeconds() })).toBe(true);
+      expect(isRevoked({ jti: 'jti-s2', sid: 'session-1', id: 'user-s', iat: nowSeconds() })).toBe(true);
+      expect(isRevoked({ jti: 'jti-s3', sid: 'session-2', id: 'user-s', iat: nowSeconds() })).toBe(false);
+      expect(RevokedToken.updateOne).toHaveBeenCalledWith(
+        { key: 'sid:session-1' },
+        expect.objectContaining({ userId: 'user-s' }),
+        { upsert: true }
+      );
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    test('should refuse tokens issued before the revocation, with or without a jti', async () => {
+      const iat = nowSeconds() - 10;
+
+      await revokeAllForUser('user-d');
+
+      expect(isRevoked({ jti: 'jti-d', id: 'user-d', iat })).toBe(true);
+      expect(isRevoked({ id: 'user-d', iat })).toBe(true);
+      expect(isRevoked({ id: 'user-other', iat })).toBe(false);
+    });
+
+    test('should accept tokens issued after the revocation', async () => {
+      await revokeAllForUser('user-e');
+
+      expect(isRevoked({ id: 'user-e', iat: nowSeconds() + 1 })).toBe(false);
+    });
+
+    test('should accept a token issued in the same second as the revocation', async () => {
+      await revokeAllForUser('user-same-second');
+
+      const [, entry] = RevokedToken.updateOne.mock.calls[0];
+      expect(entry.revokedBefore.getTime() % 1000).toBe(0);
+      const iat = entry.revokedBefore.getTime() / 1000;
+      expect(isRevoked({ id: 'user-same-second', iat })).toBe(false);
+      expect(isRevoked({ id: 'user-same-second', iat: iat - 1 })).toBe(true);
+    });
+
+    test('should keep the entry only as long as an access token lives', async () => {
+      const before = Date.now();
+      await revokeAllForUser('user-f');
+
+      const [, entry] = RevokedToken.updateOne.mock.calls[0];
+      expect(entry.expiresAt.getTime()).toBeGreaterThanOrEqual(before + jwtConfig.accessTokenExpiry * 1000);
+    });
+  });
+
+  describe('sync', () => {
+    test('should load revocations written by other instances', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 1000);
+      jest.spyOn(RevokedToken, 'find').mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { key: 'jti:jti-synced', userId: 'user-g', revokedAt: new Date(), expiresAt },
+          { key: 'user:user-h', userId: 'user-h', revokedBefore: new Date(), revokedAt: new Date(), expiresAt }
+        ])
+      });
+
+      await sync();
+
+      expect(isRevoked({ jti: 'jti-synced', id: 'user-g', iat: nowSeconds() })).toBe(true);
+      expect(isRevoked({ id: 'user-h', iat: nowSeconds() - 10 })).toBe(true);
+    });
+
+    test('should forget entries that have expired', async () => {
+      jest.spyOn(RevokedToken, 'find').mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { key: 'jti:jti-expired', userId: 'user-i', revokedAt: new Date(), expiresAt: new Date(Date.now() - 1000) }
+        ])
+      });
+
+      await sync();
+
+      expect(isRevoked({ jti: 'jti-expired', id: 'user-i', iat: nowSeconds() })).toBe(false);
+    });
+  });
+
+  describe('disconnectRevoked', () => {
+    test('should disconnect every socket of the user', async () => {
+      const disconnectSockets = jest.fn();
+      const io = { in: jest.fn().mockReturnValue({ disconnectSockets }) };
+
+      await disconnectRevoked(io, { userId: 'user-j' });
+
+      expect(io.in).toHaveBeenCalledWith('user:user-j');
+      expect(disconnectSockets).toHaveBeenCalledWith(true);
+    });
+
+    test('should only disconnect sockets using the revoked jti', async () => {
+      const revoked = { data: { jti: 'jti-k' }, disconnect: jest.fn() };
+      const other = { data: { jti: 'jti-other' }, disconnect: jest.fn() };
+      const io = { in: jest.fn().mockReturnValue({ fetchSockets: jest.fn().mockResolvedValue([revoked, other]) }) };
+
+      await disconnectRevoked(io, { userId: 'user-k', jti: 'jti-k' });
+
+      expect(revoked.disconnect).toHaveBeenCalledWith(true);
+      expect(other.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should only disconnect sockets of the revoked session', async () => {
+      const revoked = { data: { jti: 'jti-a', sid: 'session-x' }, disconnect: jest.fn() };
+      const other = { data: { jti: 'jti-b', sid: 'session-y' }, disconnect: jest.fn() };
+      const io = { in: jest.fn().mockReturnValue({ fetchSockets: jest.fn().mockResolvedValue([revoked, other]) }) };
+
+      await disconnectRevoked(io, { userId: 'user-t', sid: 'session-x' });
+
+      expect(revoked.disconnect).toHaveBeenCalledWith(true);
+      expect(other.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should do nothing without a Socket.IO server', async () => {
+      await expect(disconnectRevoked(undefined, { userId: 'user-l' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('revokeAllSessions', () => {
+    test('should revoke refresh tokens, access tokens and sockets', async () => {
+      jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+      const disconnectSockets = jest.fn();
+      const io = { in: jest.fn().mockReturnValue({ disconnectSockets }) };
+
+      const revokedSessions = await revokeAllSessions(io, 'user-m');
+
+      expect(revokedSessions).toBe(3);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { userId: 'user-m', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(isRevoked({ id: 'user-m', iat: nowSeconds() - 10 })).toBe(true);
+      expect(disconnectSockets).toHaveBeenCalledWith(true);
+    });
+  });
+});
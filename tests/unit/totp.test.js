@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for TOTP Utility
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate one-time password generation against the RFC 4226 and RFC 6238 test vectors
+ */
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  provisioningUri
+} = require('../../src/utils/totp');
+
+describe('totp Utility - Unit Tests', () => {
+  // Shared secrets from the RFCs, sized for each hash
+  const seeds = {
+    sha1: '12345678901234567890',
+    sha256: '12345678901234567890123456789012',
+    sha512: '1234567890123456789012345678901234567890123456789012345678901234'
+  };
+  const secretFor = (algorithm) => base32Encode(Buffer.from(seeds[algorithm]));
+
+  describe('base32', () => {
+    test('should match the RFC 4648 test vectors', () => {
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    test('should round-trip bytes, ignoring case, spaces and padding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+      expect(base32Decode(secretFor('sha1')).toString()).toBe(seeds.sha1);
+    });
+
+    test('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('hotp', () => {
+    test('should match the RFC 4226 test vectors', () => {
+      const expected = [
+        '755224', '287082', '359152', '969429', '338314',
+        '254676', '287922', '162583', '399871', '520489'
+      ];
+      expected.forEach((code, counter) => {
+        expect(hotp(Buffer.from(seeds.sha1), counter)).toBe(code);
+      });
+    });
+  });
+
+  describe('totp', () => {
+    // Seconds since the epoch and the 8-digit codes for SHA-1, SHA-256 and SHA-512
+    const vectors = [
+      [59, '94287082', '46119246', '90693936'],
+      [1111111109, '07081804', '68084774', '25091201'],
+      [1111111111, '14050471', '67062674', '99943326'],
+      [1234567890, '89005924', '91819424', '93441116'],
+      [2000000000, '69279037', '90698825', '38618901'],
+      [20000000000, '65353130', '77737706', '47863826']
+    ];
+
+    test.each(vectors)('should match the RFC 6238 test vectors at T=%i', (seconds, sha1, sha256, sha512) => {
+      const time = seconds * 1000;
+      expect(totp(secretFor('sha1'), { time, digits: 8, algorithm: 'sha1' })).toBe(sha1);
+      expect(totp(secretFor('sha256'), { time, digits: 8, algorithm: 'sha256' })).toBe(sha256);
+      expect(totp(secretFor('sha512'), { time, digits: 8, algorithm: 'sha512' })).toBe(sha512);
+    });
+
+    test('should produce 6-digit codes by default', () => {
+      expect(totp(generateSecret())).toMatch(/^\d{6}$/);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = secretFor('sha1');
+    const time = 1111111111 * 1000;
+
+    test('should return the time step of a matching code', () => {
+      const code = totp(secret, { time });
+
+      expect(verifyTotp(secret, code, { time })).toBe(Math.floor(1111111111 / 30));
+    });
+
+    test('should accept codes one step either side for clock drift', () => {
+      const previous = totp(secret, { time: time - 30000 });
+      const next = totp(secret, { time: time + 30000 });
+
+      expect(verifyTotp(secret, previous, { time })).not.toBeNull();
+      expect(verifyTotp(secret, next, { time })).not.toBeNull();
+    });
+
+    test('should reject codes outside the window', () => {
+      const old = totp(secret, { time: time - 90000 });
+
+      expect(verifyTotp(secret, old, { time })).toBeNull();
+    });
+
+    test('should reject wrong and malformed codes', () => {
+      const code = totp(secret, { time });
+      const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+      expect(verifyTotp(secret, wrong, { time, window: 0 })).toBeNull();
+      expect(verifyTotp(secret, '12345', { time })).toBeNull();
+      expect(verifyTotp(secret, Number(code), { time })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate distinct base32 secrets of 160 bits', () => {
+      const first = generateSecret();
+
+      expect(first).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(first)).toHaveLength(20);
+      expect(generateSecret()).not.toBe(first);
+    });
+  });
+
+  describe('provisioningUri', () => {
+    test('should build an otpauth URI for authenticator apps', () => {
+      const uri = provisioningUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'dispatch@example.com', issuer: 'RSA Chat' });
+      const url = new URL(uri);
+
+      expect(url.protocol).toBe('otpauth:');
+      expect(url.host).toBe('totp');
+      expect(decodeURIComponent(url.pathname)).toBe('/RSA Chat:dispatch@example.com');
+      expect(url.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+      expect(url.searchParams.get('issuer')).toBe('RSA Chat');
+      expect(url.searchParams.get('period')).toBe('30');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the Typing Indicator Tracker
+ * Tests LO3: Unit Testing
+ *
+ * Purpose: Validate typing throttling and expiry in isolation, driven by fake timers
+ */
+
+const createTypingTracker = require('../../src/socket/typingTracker');
+
+describe('typingTracker - Unit Tests', () => {
+  const throttleMs = 1000;
+  const timeoutMs = 5000;
+  let broadcast;
+  let tracker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    broadcast = jest.fn();
+    tracker = createTypingTracker({ broadcast, throttleMs, timeoutMs });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Throttling', () => {
+    test('should broadcast the first typing event immediately', () => {
+      tracker.update('room-1', true);
+
+      expect(broadcast).toHaveBeenCalledWith('room-1', true);
+    });
+
+    test('should not rebroadcast repeated typing events', () => {
+      for (let i = 0; i < 20; i++) {
+        tracker.update('room-1', true);
+        jest.advanceTimersByTime(100);
+      }
+
+      expect(broadcast).toHaveBeenCalledTimes(1);
+    });
+
+    test('should delay a change that arrives within the throttle interval', () => {
+      tracker.update('room-1', true);
+      jest.advanceTimersByTime(200);
+      tracker.update('room-1', false);
+
+      expect(broadcast).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(800);
+      expect(broadcast).toHaveBeenLastCalledWith('room-1', false);
+      expect(broadcast).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drop changes that are reverted before the interval ends', () => {
+      tracker.update('room-1', true);
+      tracker.update('room-1', false);
+      tracker.update('room-1', true);
+      jest.advanceTimersByTime(throttleMs);
+
+      expect(broadcast).toHaveBeenCalledTimes(1);
+    });
+
+    test('should throttle each room separately', () => {
+      tracker.update('room-1', true);
+      tracker.update('room-2', true);
+
+      expect(broadcast).toHaveBeenCalledWith('room-1', true);
+      expect(broadcast).toHaveBeenCalledWith('room-2', true);
+    });
+
+    test('should ignore stop events when no indicator is shown', () => {
+      tracker.update('room-1', false);
+
+      expect(broadcast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Expiry', () => {
+    test('should clear the indicator after the timeout', () => {
+      tracker.update('room-1', true);
+
+      jest.advanceTimersByTime(timeoutMs - 1);
+      expect(broadcast).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1);
+      expect(broadcast).toHaveBeenLastCalledWith('room-1', false);
+    });
+
+    test('should extend the timeout while typing continues', () => {
+      tracker.update('room-1', true);
+      jest.advanceTimersByTime(4000);
+      tracker.update('room-1', true);
+      jest.advanceTimersByTime(4000);
+
+      expect(broadcast).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1000);
+      expect(broadcast).toHaveBeenLastCalledWith('room-1', false);
+    });
+
+    test('should clear every room immediately on stopAll', () => {
+      tracker.update('room-1', true);
+      tracker.update('room-2', true);
+      broadcast.mockClear();
+
+      tracker.stopAll();
+
+      expect(broadcast).toHaveBeenCalledWith('room-1', false);
+      expect(broadcast).toHaveBeenCalledWith('room-2', false);
+
+      jest.advanceTimersByTime(timeoutMs);
+      expect(broadcast).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not announce a stop for rooms that were never shown typing', () => {
+      tracker.update('room-1', true);
+      tracker.update('room-1', false);
+      tracker.update('room-1', true);
+      jest.advanceTimersByTime(200);
+      broadcast.mockClear();
+      tracker.update('room-2', false);
+
+      tracker.stopAll();
+
+      expect(broadcast).toHaveBeenCalledTimes(1);
+      expect(broadcast).toHaveBeenCalledWith('room-1', false);
+    });
+  });
+});
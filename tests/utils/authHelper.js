@@ -0,0 +1,25 @@
+/**
+ * Authentication Test Helpers
+ * Builds signed-in users and room memberships for tests of protected endpoints
+ */
+
+const mongoose = require('mongoose');
+const ChatRoom = require('../../src/models/ChatRoom');
+const { generateAccessToken } = require('../../src/utils/generateToken');
+
+// Creates an access token for a fresh user ID without touching the database
+const createTestUser = (role = 'customer') => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const token = generateAccessToken({ id: userId, role });
+  return { userId, role, token, authHeader: `Bearer ${token}` };
+};
+
+// Adds the user to the room's participants, creating the room if needed
+const addParticipant = (roomId, { userId, role }) =>
+  ChatRoom.updateOne(
+    { roomId },
+    { $addToSet: { participants: { userId, role } } },
+    { upsert: true }
+  );
+
+module.exports = { createTestUser, addParticipant };